@@ -17,6 +17,42 @@ module.exports = {
     queueTimeout: 300000, // 5 minutes
   },
   
+  // Missed-event replay for RESUME
+  replay: {
+    bufferSize: 200,        // events kept per user
+    windowSeconds: 300,     // how long a disconnected user keeps buffering
+    streamTtlSeconds: 86400 * 30,
+  },
+  
+  // Cross-instance fan-out (lib/eventBus.js)
+  cluster: {
+    channel: 'layer4:events',
+  },
+  
+  // Proxies in front of the instances, as Express 'trust proxy': a hop count, or addresses/subnets
+  // (TRUST_PROXY). Decides which X-Forwarded-For entry is the client IP that rate limits key on.
+  proxy: {
+    trust: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? Number(process.env.TRUST_PROXY)
+      : (process.env.TRUST_PROXY || 1), // default: one hop, the load balancer
+  },
+  
+  // Token-bucket budgets per event (lib/rateLimiter.js), keyed by user or IP.
+  // capacity = burst size, refillPerSecond = sustained rate. Events without a budget are not limited.
+  rateLimits: {
+    SEND_MESSAGE: { capacity: 10, refillPerSecond: 1 },          // also POST /api/chat/channels/:id/messages
+    START_TYPING: { capacity: 5, refillPerSecond: 0.5 },
+    SEND_POKE: { capacity: 3, refillPerSecond: 1 / 20 },
+    CREATE_ROOM_INVITE: { capacity: 5, refillPerSecond: 1 / 60 },
+    REQUEST_TO_JOIN_ROOM: { capacity: 3, refillPerSecond: 1 / 60 },
+    AUTH_NONCE: { capacity: 5, refillPerSecond: 1 / 12 },         // POST /api/auth/nonce
+  },
+  
+  // Staking-gated rooms (lib/stakingGate.js): how often members are re-checked
+  stakingGate: {
+    recheckIntervalMs: 15 * 60 * 1000, // 15 minutes
+  },
+  
   // Heartbeat settings
   heartbeat: {
     clientInterval: 45000, // 45 seconds
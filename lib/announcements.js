@@ -0,0 +1,68 @@
+/**
+ * Announcement channels
+ * Only holders of POST_ANNOUNCEMENTS (moderators and up by default) can post in an
+ * announcement channel; everyone else reads and reacts. A room channel can follow
+ * an announcement channel in another room: new posts are copied into it with
+ * mirroredFromId pointing at the original, and edits and deletes of the original
+ * are carried over to the copies.
+ */
+
+const { prisma } = require('./prisma');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+const ANNOUNCEMENT_CHANNEL_TYPE = 'announcement';
+
+function isAnnouncementChannel(channel) {
+  return channel?.type === ANNOUNCEMENT_CHANNEL_TYPE;
+}
+
+// On top of SEND_MESSAGES - announcement channels also need POST_ANNOUNCEMENTS
+function canPostInChannel(channel, permissions) {
+  return !isAnnouncementChannel(channel) || hasPermission(permissions, PERMISSIONS.POST_ANNOUNCEMENTS);
+}
+
+/**
+ * Copy a new announcement into every channel following its channel. Thread
+ * replies stay in the source channel, and archived follower rooms are skipped.
+ * Returns the created copies.
+ */
+async function mirrorAnnouncement(message, include) {
+  if (message.repliedToMessageId || message.mirroredFromId) return [];
+
+  const follows = await prisma.channelFollow.findMany({
+    where: {
+      sourceChannelId: message.channelId,
+      targetChannel: { room: { isActive: true } }
+    },
+    select: { targetChannelId: true }
+  });
+  if (follows.length === 0) return [];
+
+  return prisma.$transaction(follows.map(follow => prisma.message.create({
+    data: {
+      channelId: follow.targetChannelId,
+      authorId: message.authorId,
+      content: message.content,
+      type: message.type,
+      attachments: message.attachments || [],
+      mirroredFromId: message.id
+    },
+    include
+  })));
+}
+
+// Live copies of a message - used to carry edits and deletes over
+function findMirrors(messageId) {
+  return prisma.message.findMany({
+    where: { mirroredFromId: messageId, deletedAt: null },
+    select: { id: true, channelId: true }
+  });
+}
+
+module.exports = {
+  ANNOUNCEMENT_CHANNEL_TYPE,
+  isAnnouncementChannel,
+  canPostInChannel,
+  mirrorAnnouncement,
+  findMirrors
+};
@@ -0,0 +1,103 @@
+/**
+ * Cross-instance event bus
+ * Every backend instance publishes the events it originates and delivers the
+ * ones published by other instances to its own sockets. Redis pub/sub is used
+ * when Redis is reachable; otherwise a local in-process adapter keeps the same
+ * interface for development and single-instance deployments.
+ *
+ * Over Redis, messages travel as msgpack text (lib/msgpackText.js) rather than
+ * JSON, so Dates in payloads reach other instances as Dates.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const msgpackText = require('./msgpackText');
+const redis = require('./redis');
+const { cluster } = require('../config/websocket');
+
+const instanceId = process.env.INSTANCE_ID || crypto.randomUUID();
+
+class LocalEventBus {
+  constructor() {
+    this.name = 'local';
+    this.emitter = new EventEmitter();
+  }
+
+  async publish(message) {
+    // Async like Redis so handlers never run inside the publisher's call stack
+    setImmediate(() => this.emitter.emit('message', message));
+    return true;
+  }
+
+  subscribe(handler) {
+    this.emitter.on('message', handler);
+  }
+}
+
+class RedisEventBus {
+  constructor() {
+    this.name = 'redis';
+    this.subscriber = null;
+  }
+
+  async publish(message) {
+    return (await redis.publish(cluster.channel, msgpackText.encode(message))) > 0;
+  }
+
+  subscribe(handler) {
+    this.subscriber = redis.subscribe(cluster.channel, message => {
+      if (typeof message !== 'string') return handler(message);
+      let decoded;
+      try {
+        decoded = msgpackText.decode(message);
+      } catch (error) {
+        console.error('❌ [EVENT BUS] Undecodable message:', error);
+        return;
+      }
+      handler(decoded);
+    });
+  }
+}
+
+let bus = null;
+const handlers = [];
+
+// Pick the adapter once Redis has finished connecting (or fallen back to memory)
+async function start() {
+  await redis.ready;
+  bus = redis.isConnected ? new RedisEventBus() : new LocalEventBus();
+
+  bus.subscribe(message => {
+    // Instances deliver their own events directly, skip the echo
+    if (!message || message.origin === instanceId) return;
+    handlers.forEach(handler => {
+      Promise.resolve(handler(message)).catch(error => {
+        console.error('❌ [EVENT BUS] Handler error:', error);
+      });
+    });
+  });
+
+  console.log('✅ [EVENT BUS] Started:', { adapter: bus.name, instanceId });
+  return bus.name;
+}
+
+async function publish(type, data) {
+  if (!bus) return false;
+  try {
+    return await bus.publish({ origin: instanceId, type, ...data });
+  } catch (error) {
+    console.error('❌ [EVENT BUS] Publish error:', error);
+    return false;
+  }
+}
+
+function onMessage(handler) {
+  handlers.push(handler);
+}
+
+module.exports = {
+  instanceId,
+  start,
+  publish,
+  onMessage
+};
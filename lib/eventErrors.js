@@ -0,0 +1,38 @@
+/**
+ * Stable error codes for ERROR / ROOM_ERROR frames
+ * Clients branch on `code`; `message` is for display and may change.
+ */
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',   // payload failed its event schema
+  UNAUTHENTICATED: 'UNAUTHENTICATED',       // event needs a logged-in connection
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',           // no handler registered for the event
+  NOT_FOUND: 'NOT_FOUND',                   // referenced message/user/room does not exist
+  NOT_A_MEMBER: 'NOT_A_MEMBER',             // caller is not in the channel or room
+  ALREADY_MEMBER: 'ALREADY_MEMBER',
+  FORBIDDEN: 'FORBIDDEN',                   // member, but lacks the role or ownership
+  CONFLICT: 'CONFLICT',                     // state already as requested (already pinned, already following)
+  LIMIT_REACHED: 'LIMIT_REACHED',           // pins per channel, rooms per user, room capacity
+  INVALID_INVITE_CODE: 'INVALID_INVITE_CODE',
+  ROOM_INACTIVE: 'ROOM_INACTIVE',
+  BANNED: 'BANNED',                         // active RoomBan - payload carries expiresAt
+  TIMED_OUT: 'TIMED_OUT',                   // room member may read but not send until timeoutUntil
+  STAKING_REQUIRED: 'STAKING_REQUIRED',     // room's staking gate not met - payload carries reason and gate
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'          // unexpected failure - safe to retry
+};
+
+// Thrown by handlers to fail the event with a specific code instead of INTERNAL_ERROR
+class EventError extends Error {
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = 'EventError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  EventError
+};
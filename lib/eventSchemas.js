@@ -0,0 +1,343 @@
+/**
+ * Declarative payload schemas for CLIENT_EVENTS
+ * The gateway validates every payload against its event's schema before the
+ * handler runs; failures go back as VALIDATION_FAILED with per-field details.
+ *
+ * Field spec: { type, required, nullable, minLength, maxLength, min, max, enum, items, maxItems }
+ * type is one of string | integer | number | boolean | object | array | any, or a list of them.
+ * Unknown fields are allowed so clients can attach metadata.
+ */
+
+const { ALL_PERMISSIONS } = require('./permissions');
+
+const MAX_MESSAGE_LENGTH = 1000; // same limit as the REST validateMessage middleware
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_ROOM_MEMBERS = 1000;
+const ROOM_CHANNEL_TYPES = ['text-group', 'announcement']; // see lib/roomChannels
+const MAX_NONCE_LENGTH = 64; // see lib/messageNonce
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+const MAX_TIMEOUT_SECONDS = 28 * 24 * 60 * 60;
+
+const id = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const optionalId = { type: 'string', nullable: true, minLength: 1, maxLength: 64 };
+const pageLimit = { type: 'integer', min: 1, max: 100 };
+const cursor = { type: ['string', 'number'], nullable: true, maxLength: 64 }; // ISO date or epoch ms
+const moderationReason = { type: 'string', nullable: true, maxLength: 500 };
+const channelName = { type: 'string', minLength: 1, maxLength: MAX_ROOM_NAME_LENGTH };
+
+const EVENT_SCHEMAS = {
+  // Messages
+  SEND_MESSAGE: {
+    fields: {
+      channelId: id,
+      content: { type: 'string', required: true, maxLength: MAX_MESSAGE_LENGTH },
+      attachments: { type: 'array', maxItems: 10, items: { type: 'object' } },
+      repliedToMessageId: optionalId,
+      nonce: { type: ['string', 'integer'], nullable: true, minLength: 1, maxLength: MAX_NONCE_LENGTH }
+    },
+    check: payload => (!payload.content.trim() && !(payload.attachments?.length > 0)
+      ? { field: 'content', message: 'content or attachments are required' }
+      : null)
+  },
+  EDIT_MESSAGE: {
+    fields: {
+      messageId: id,
+      content: { type: 'string', required: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH }
+    }
+  },
+  DELETE_MESSAGE: { fields: { messageId: id } },
+  FETCH_MESSAGE_EDITS: { fields: { messageId: id } },
+  FETCH_MESSAGES: { fields: { channelId: id, limit: pageLimit, before: cursor } },
+  SEARCH_MESSAGES: {
+    fields: {
+      query: { type: 'string', maxLength: 200 },
+      channelId: optionalId,
+      authorId: optionalId,
+      mentions: optionalId,
+      has: { type: ['string', 'array'], maxItems: 5, items: { type: 'string' } },
+      after: { type: 'string', nullable: true, maxLength: 64 },
+      before: { type: 'string', nullable: true, maxLength: 64 },
+      limit: { type: 'integer', min: 1, max: 50 },
+      offset: { type: 'integer', min: 0 }
+    }
+  },
+
+  // Threads and pins
+  FETCH_THREAD: { fields: { messageId: id, limit: pageLimit, before: cursor } },
+  FOLLOW_THREAD: { fields: { messageId: id } },
+  UNFOLLOW_THREAD: { fields: { messageId: id } },
+  FETCH_FOLLOWED_THREADS: { fields: { limit: pageLimit, before: cursor } },
+  PIN_MESSAGE: { fields: { messageId: id } },
+  UNPIN_MESSAGE: { fields: { messageId: id } },
+  FETCH_PINS: { fields: { channelId: id } },
+
+  // Channels, typing and read state
+  JOIN_CHANNEL: { fields: { channelId: id } },
+  START_TYPING: { fields: { channelId: id } },
+  STOP_TYPING: { fields: { channelId: id } },
+  MARK_AS_READ: { fields: { messageId: id } },
+  MARK_CHANNEL_READ: { fields: { channelId: id, messageId: optionalId } },
+  CREATE_CHANNEL: {
+    fields: {
+      roomId: id,
+      name: { ...channelName, required: true },
+      type: { type: 'string', enum: ROOM_CHANNEL_TYPES },
+      categoryId: optionalId,
+      topic: { type: 'string', nullable: true, maxLength: 200 }
+    }
+  },
+  UPDATE_CHANNEL: {
+    fields: {
+      channelId: id,
+      name: channelName,
+      type: { type: 'string', enum: ROOM_CHANNEL_TYPES },
+      categoryId: optionalId, // null = uncategorized
+      topic: { type: 'string', nullable: true, maxLength: 200 }
+    },
+    check: payload => (['name', 'type', 'categoryId', 'topic'].every(field => payload[field] === undefined)
+      ? { field: 'payload', message: 'nothing to update' }
+      : null)
+  },
+  DELETE_CHANNEL: { fields: { channelId: id } },
+  REORDER_CHANNELS: {
+    fields: {
+      roomId: id,
+      categoryIds: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 64 } }, // display order
+      // [{ channelId, categoryId }] in display order - categoryId null moves the channel
+      // out of its category, leaving it out keeps the current one
+      channels: { type: 'array', maxItems: 50, items: { type: 'object' } }
+    },
+    check: payload => ((payload.channels || []).some(item => typeof item.channelId !== 'string'
+      || (item.categoryId !== undefined && item.categoryId !== null && typeof item.categoryId !== 'string'))
+      ? { field: 'channels', message: 'channels items need a channelId and an optional categoryId' }
+      : null)
+  },
+  CREATE_CHANNEL_CATEGORY: { fields: { roomId: id, name: { ...channelName, required: true } } },
+  UPDATE_CHANNEL_CATEGORY: { fields: { categoryId: id, name: { ...channelName, required: true } } },
+  DELETE_CHANNEL_CATEGORY: { fields: { categoryId: id } },
+  FOLLOW_CHANNEL: { fields: { channelId: id, targetChannelId: id } },
+  UNFOLLOW_CHANNEL: { fields: { channelId: id, targetChannelId: id } },
+  FETCH_CHANNEL_FOLLOWS: { fields: { channelId: id } },
+  SET_SLOW_MODE: { fields: { channelId: id, seconds: { type: 'integer', required: true, min: 0, max: MAX_SLOW_MODE_SECONDS } } },
+  RESUME: {
+    fields: {
+      streamId: { type: 'string', required: true, maxLength: 64 },
+      lastSeq: { type: 'integer', required: true, min: 0 }
+    }
+  },
+
+  // Reactions
+  ADD_REACTION: { fields: { messageId: id, emoji: { type: 'string', required: true, minLength: 1, maxLength: 16 } } },
+  REMOVE_REACTION: { fields: { messageId: id, emoji: { type: 'string', required: true, minLength: 1, maxLength: 16 } } },
+
+  // Storage and audio settings
+  STORAGE_GET: { fields: { key: { type: 'string', required: true, minLength: 1, maxLength: 200 } } },
+  STORAGE_SET: {
+    fields: {
+      key: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      value: { type: 'any', required: true },
+      ttl: { type: 'integer', nullable: true, min: 1 }
+    }
+  },
+  STORAGE_DELETE: { fields: { key: { type: 'string', required: true, minLength: 1, maxLength: 200 } } },
+  AUDIO_SETTINGS_SET: { fields: { settings: { type: 'object', required: true } } },
+
+  // AUTH_LOGIN has no schema: its handler validates and answers with the JSON
+  // AUTH_LOGIN_RESPONSE the auth client waits for, not a msgpack ERROR frame
+
+  // Social
+  FOLLOW_USER: { fields: { targetUserId: id } },
+  UNFOLLOW_USER: { fields: { targetUserId: id } },
+  SEND_POKE: { fields: { targetUserId: id, message: { type: 'string', nullable: true, maxLength: 200 } } },
+  GET_USER_STATUS: { fields: { targetUserId: id } },
+  CHECK_FOLLOW_STATUS: { fields: { targetUserId: id } },
+  GET_USER_STATS: { fields: { targetUserId: id } },
+
+  // Rooms and DMs
+  CREATE_ROOM: {
+    fields: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: MAX_ROOM_NAME_LENGTH },
+      description: { type: 'string', nullable: true, maxLength: 500 },
+      privacy: { type: 'integer', enum: [0, 1] } // 0 = private, 1 = public
+    }
+  },
+  UPDATE_ROOM: {
+    fields: {
+      roomId: id,
+      name: { type: 'string', minLength: 1, maxLength: MAX_ROOM_NAME_LENGTH },
+      description: { type: 'string', nullable: true, maxLength: 500 },
+      privacy: { type: 'integer', enum: [0, 1] },
+      maxMembers: { type: 'integer', min: 2, max: MAX_ROOM_MEMBERS }
+    },
+    check: payload => (['name', 'description', 'privacy', 'maxMembers'].every(field => payload[field] === undefined)
+      ? { field: 'payload', message: 'nothing to update' }
+      : null)
+  },
+  SET_STAKING_GATE: {
+    fields: {
+      roomId: id,
+      gate: { type: 'object', nullable: true } // null = open to everyone
+    },
+    check: ({ gate }) => {
+      if (!gate) return null;
+      if (['minStaked', 'minL4Received'].some(field => gate[field] !== undefined && !(Number(gate[field]) >= 0))) {
+        return { field: 'gate', message: 'gate minimums must be non-negative numbers' };
+      }
+      if (gate.onLapse !== undefined && !['REMOVE', 'DEMOTE'].includes(gate.onLapse)) {
+        return { field: 'gate.onLapse', message: 'gate.onLapse must be one of REMOVE, DEMOTE' };
+      }
+      return null;
+    }
+  },
+  ARCHIVE_ROOM: { fields: { roomId: id, archived: { type: 'boolean' } } }, // archived: false restores
+  DELETE_ROOM: { fields: { roomId: id } },
+  JOIN_ROOM: { fields: { roomId: id, inviteCode: { type: 'string', nullable: true, maxLength: 64 } } },
+  LEAVE_ROOM: { fields: { roomId: id } },
+  GET_ROOM_INFO: { fields: { roomId: id } },
+  SEARCH_ROOMS: { fields: { query: { type: 'string', nullable: true, maxLength: 100 } } },
+  CREATE_ROOM_INVITE: {
+    fields: {
+      roomId: id,
+      message: { type: 'string', nullable: true, maxLength: 200 },
+      expiresInHours: { type: 'number', nullable: true, min: 1, max: 720 }, // null = never expires
+      maxUses: { type: 'integer', nullable: true, min: 1, max: 1000 } // null = unlimited, omitted = 1
+    }
+  },
+  USE_ROOM_INVITE: { fields: { inviteCode: { type: 'string', required: true, minLength: 1, maxLength: 64 } } },
+  REQUEST_TO_JOIN_ROOM: { fields: { roomId: id, message: { type: 'string', nullable: true, maxLength: 500 } } },
+  FETCH_ROOM_JOIN_REQUESTS: { fields: { roomId: id } },
+  APPROVE_JOIN_REQUEST: { fields: { requestId: id } },
+  DENY_JOIN_REQUEST: { fields: { requestId: id, reason: moderationReason } },
+  LIST_ROOM_INVITES: { fields: { roomId: id, includeInactive: { type: 'boolean' } } },
+  REVOKE_ROOM_INVITE: { fields: { inviteId: id } },
+  KICK_MEMBER: { fields: { roomId: id, targetUserId: id, reason: moderationReason } },
+  BAN_MEMBER: {
+    fields: {
+      roomId: id,
+      targetUserId: id,
+      reason: moderationReason,
+      durationSeconds: { type: 'integer', nullable: true, min: 60 } // omitted = permanent
+    }
+  },
+  TIMEOUT_MEMBER: {
+    fields: {
+      roomId: id,
+      targetUserId: id,
+      reason: moderationReason,
+      durationSeconds: { type: 'integer', required: true, min: 0, max: MAX_TIMEOUT_SECONDS } // 0 = clear
+    }
+  },
+  UNBAN_MEMBER: { fields: { roomId: id, targetUserId: id } },
+  SET_MEMBER_ROLE: {
+    fields: {
+      roomId: id,
+      targetUserId: id,
+      role: { type: 'string', required: true, enum: ['ADMIN', 'MODERATOR', 'MEMBER'] } // OWNER moves via TRANSFER_ROOM_OWNERSHIP
+    }
+  },
+  TRANSFER_ROOM_OWNERSHIP: { fields: { roomId: id, targetUserId: id } },
+  FETCH_ROOM_AUDIT_LOG: {
+    fields: {
+      roomId: id,
+      action: { type: 'string', nullable: true, maxLength: 64 },
+      actorId: optionalId,
+      targetUserId: optionalId,
+      limit: pageLimit,
+      before: cursor
+    }
+  },
+  SET_PERMISSION_OVERRIDES: {
+    fields: {
+      roomId: id,
+      channelId: optionalId, // omitted = room-wide override
+      role: { type: 'string', required: true, enum: ['ADMIN', 'MODERATOR', 'MEMBER'] },
+      allow: { type: 'integer', min: 0, max: ALL_PERMISSIONS },
+      deny: { type: 'integer', min: 0, max: ALL_PERMISSIONS }
+    }
+  },
+  CREATE_DM: { fields: { userId: id } }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'any') return true;
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'object') return typeOf(value) === 'object';
+  return typeOf(value) === type;
+}
+
+function validateField(field, value, spec, errors) {
+  if (value === undefined || (value === null && spec.nullable)) {
+    if (spec.required) errors.push({ field, message: `${field} is required` });
+    return;
+  }
+
+  const types = [].concat(spec.type);
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push({ field, message: `${field} must be ${types.join(' or ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      errors.push({ field, message: spec.minLength === 1 ? `${field} is required` : `${field} must be at least ${spec.minLength} characters` });
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      errors.push({ field, message: `${field} must be at most ${spec.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) errors.push({ field, message: `${field} must be at least ${spec.min}` });
+    if (spec.max !== undefined && value > spec.max) errors.push({ field, message: `${field} must be at most ${spec.max}` });
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of ${spec.enum.join(', ')}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      errors.push({ field, message: `${field} must have at most ${spec.maxItems} items` });
+    }
+    if (spec.items) {
+      value.forEach((item, index) => validateField(`${field}[${index}]`, item, { ...spec.items, required: true }, errors));
+    }
+  }
+}
+
+/**
+ * Validate a payload against an event schema.
+ * Returns null when valid, otherwise a list of { field, message }.
+ */
+function validatePayload(schema, payload) {
+  if (!schema) return null;
+
+  const value = payload === undefined || payload === null ? {} : payload;
+  if (typeOf(value) !== 'object') {
+    return [{ field: 'payload', message: 'payload must be an object' }];
+  }
+
+  const errors = [];
+  Object.entries(schema.fields || {}).forEach(([field, spec]) => {
+    validateField(field, value[field], spec, errors);
+  });
+
+  if (errors.length === 0 && schema.check) {
+    const error = schema.check(value);
+    if (error) errors.push(error);
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  validatePayload
+};
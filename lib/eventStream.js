@@ -0,0 +1,121 @@
+/**
+ * Per-user event sequencing with a bounded replay buffer
+ * Every event pushed to a user gets the next sequence number in that user's
+ * stream. Reconnecting clients send RESUME with the last sequence they saw and
+ * get the gap replayed, or are told to resync when the gap is no longer buffered.
+ * Buffered events are msgpack text, so a replayed payload has the same types
+ * (Dates included) as the live frame it stands in for.
+ */
+
+const crypto = require('crypto');
+const redis = require('./redis');
+const msgpackText = require('./msgpackText');
+const { replay } = require('../config/websocket');
+
+// A user's events are buffered while any instance holds a socket for them
+// (heartbeats keep the marker alive) and for the replay window after the last one drops
+async function touchStream(userId) {
+  await redis.set(redis.getUserEventActiveKey(userId), 1, replay.windowSeconds);
+}
+
+// Called on connect - returns the stream id the client must echo back in RESUME
+async function openStream(userId) {
+  await touchStream(userId);
+
+  const streamKey = redis.getUserEventStreamKey(userId);
+  let streamId = await redis.get(streamKey);
+  if (!streamId) {
+    streamId = crypto.randomUUID();
+  }
+  await redis.set(streamKey, streamId, replay.streamTtlSeconds);
+
+  const seq = (await redis.get(redis.getUserEventSeqKey(userId))) || 0;
+  return { streamId, seq: Number(seq) };
+}
+
+/**
+ * Assign the next sequence number to each user and buffer the event.
+ * Returns { [userId]: seq }; users with no active stream are left out.
+ */
+async function recordEvents(userIds, event, payload) {
+  const seqs = {};
+  if (userIds.length === 0) return seqs;
+
+  // One round trip for the whole recipient list
+  const assigned = await redis.appendToStreams(
+    userIds.map(userId => ({
+      activeKey: redis.getUserEventActiveKey(userId),
+      seqKey: redis.getUserEventSeqKey(userId),
+      bufferKey: redis.getUserEventBufferKey(userId)
+    })),
+    msgpackText.encode({ event, payload, sentAt: Date.now() }),
+    {
+      maxLength: replay.bufferSize,
+      seqTtlSeconds: replay.streamTtlSeconds,
+      bufferTtlSeconds: replay.windowSeconds
+    }
+  );
+
+  userIds.forEach((userId, index) => {
+    if (assigned[index] > 0) seqs[userId] = assigned[index];
+  });
+
+  return seqs;
+}
+
+// "<seq>:<msgpack text>" as written by redis.appendToStreams; null if unreadable,
+// which leaves a gap and so forces a resync rather than a lossy replay
+function decodeBufferedEvent(item) {
+  if (typeof item !== 'string') return null;
+  const separator = item.indexOf(':');
+  try {
+    return { seq: Number(item.slice(0, separator)), ...msgpackText.decode(item.slice(separator + 1)) };
+  } catch (error) {
+    console.error('❌ [EVENT STREAM] Unreadable buffered event:', error);
+    return null;
+  }
+}
+
+/**
+ * Events after lastSeq, or { resync: reason } when they cannot be replayed
+ * losslessly (unknown stream, sequence from the future, or gap already trimmed).
+ */
+async function getEventsSince(userId, streamId, lastSeq) {
+  const [currentStreamId, currentSeq] = await Promise.all([
+    redis.get(redis.getUserEventStreamKey(userId)),
+    redis.get(redis.getUserEventSeqKey(userId))
+  ]);
+  const seq = Number(currentSeq) || 0;
+
+  if (!currentStreamId || currentStreamId !== streamId) {
+    return { resync: 'unknown_stream', streamId: currentStreamId, seq };
+  }
+  if (lastSeq > seq) {
+    return { resync: 'sequence_ahead', streamId: currentStreamId, seq };
+  }
+  if (lastSeq === seq) {
+    return { events: [], streamId: currentStreamId, seq };
+  }
+
+  const buffered = (await redis.getList(redis.getUserEventBufferKey(userId)))
+    .map(decodeBufferedEvent)
+    .filter(Boolean)
+    .sort((a, b) => a.seq - b.seq);
+
+  if (buffered.length === 0 || buffered[0].seq > lastSeq + 1) {
+    return { resync: 'buffer_expired', streamId: currentStreamId, seq };
+  }
+
+  return {
+    events: buffered.filter(entry => entry.seq > lastSeq),
+    streamId: currentStreamId,
+    seq
+  };
+}
+
+module.exports = {
+  openStream,
+  touchStream,
+  recordEvents,
+  getEventsSince
+};
@@ -1,9 +1,19 @@
 // Discord-inspired Gateway implementation
 const EventEmitter = require('events');
-const { WebSocketServer } = require('ws');
 const msgpack = require('msgpack-lite');
-const redis = require('./redis');
 const { prisma } = require('./prisma');
+const { ERROR_CODES } = require('./eventErrors');
+const { validatePayload } = require('./eventSchemas');
+
+const MAX_REQUEST_ID_LENGTH = 64;
+
+/**
+ * Outbound frames are [event, payload, timestamp, seq?, requestId?]. Responses to a
+ * request pass its ID (socket.requestId) so the client can match them up.
+ */
+function encodeFrame(event, payload, requestId = null) {
+  return msgpack.encode(requestId ? [event, payload, Date.now(), null, requestId] : [event, payload, Date.now()]);
+}
 
 class Gateway extends EventEmitter {
   constructor(options = {}) {
@@ -14,17 +24,33 @@ class Gateway extends EventEmitter {
       connectionTimeout: options.connectionTimeout || 60000,
       messageBatchSize: options.messageBatchSize || 100,
       messageBatchDelay: options.messageBatchDelay || 100,
+      maxOutboundQueue: options.maxOutboundQueue || 1000, // frames held per connection before it is dropped
+      maxBufferedBytes: options.maxBufferedBytes || 1024 * 1024, // socket high-water mark
+      outboundFlushDelay: options.outboundFlushDelay || 50,
+      heartbeatEvent: options.heartbeatEvent || 'HEARTBEAT',
+      heartbeatPayload: options.heartbeatPayload || (() => ({ timestamp: Date.now(), serverTime: Date.now() })),
+      authenticate: options.authenticate || (req => this.authenticateConnection(req)),
+      clientIp: options.clientIp || (req => req.socket.remoteAddress),
       ...options
     };
     
     this.connections = new Map();
+    this.handlers = new Map();
     this.messageQueue = [];
     this.batchProcessor = null;
     this.heartbeatInterval = null;
+    this.metricsInterval = null;
+    this.startedAt = Date.now();
     this.connectionMetrics = {
       totalConnections: 0,
       activeConnections: 0,
       messagesProcessed: 0,
+      messagesSent: 0,
+      slowConsumerDisconnects: 0,
+      unknownEvents: 0,
+      validationFailures: 0,
+      rateLimited: 0,
+      handlerErrors: 0,
       lastReset: Date.now()
     };
     
@@ -33,15 +59,56 @@ class Gateway extends EventEmitter {
     this.startMetricsCollection();
   }
 
+  /**
+   * Register a handler for a client event
+   * handler(userId, payload, socket, connection) - socket.send() goes through the outbound queue;
+   * responses pass socket.requestId to encodeFrame
+   * options.errorEvent + errorMessage (or errorPayload) - sent to the client when the handler throws
+   * options.allowUnauthenticated - allow the event on connections without a user
+   * options.schema - payload schema (lib/eventSchemas.js); defaults to options.schemas[eventType]
+   */
+  registerHandler(eventType, handler, options = {}) {
+    if (this.handlers.has(eventType)) {
+      console.warn(`⚠️ [GATEWAY] Replacing handler for ${eventType}`);
+    }
+    this.handlers.set(eventType, { handler, ...options });
+  }
+
+  registerHandlers(definitions) {
+    Object.entries(definitions).forEach(([eventType, definition]) => {
+      const { handler, ...options } = typeof definition === 'function' ? { handler: definition } : definition;
+      this.registerHandler(eventType, handler, options);
+    });
+  }
+
   // Discord-style connection management
   async handleConnection(ws, req) {
     const connectionId = this.generateConnectionId();
-    const userId = await this.authenticateConnection(req);
+    let identity = null;
+
+    // The real handlers are attached once the connection is registered; a socket
+    // that goes away while authenticating must never be registered at all
+    let closedDuringAuth = false;
+    const onEarlyClose = () => { closedDuringAuth = true; };
+    ws.on('close', onEarlyClose);
+    ws.on('error', onEarlyClose);
+
+    try {
+      identity = await this.options.authenticate(req);
+    } catch (error) {
+      console.error('❌ [GATEWAY] Auth error:', error);
+    }
+
+    ws.off('close', onEarlyClose);
+    ws.off('error', onEarlyClose);
+    if (closedDuringAuth || ws.readyState !== 1) return;
     
-    if (!userId) {
+    // authenticate() returns { userId: null } for anonymous connections it allows
+    if (!identity) {
       ws.close(1008, 'Authentication failed');
       return;
     }
+    const { userId, username = null } = identity;
 
     // Check shard capacity
     if (this.connections.size >= this.options.maxConnections) {
@@ -53,18 +120,23 @@ class Gateway extends EventEmitter {
       id: connectionId,
       ws,
       userId,
+      username,
       lastHeartbeat: Date.now(),
       lastActivity: Date.now(),
-      messageQueue: [],
+      outbound: [],
+      flushTimer: null,
+      inbound: Promise.resolve(), // keeps each connection's events in order
       isAlive: true,
-      shardId: this.calculateShardId(userId),
+      shardId: this.calculateShardId(userId || connectionId),
       metadata: {
         userAgent: req.headers['user-agent'],
-        ip: req.connection.remoteAddress,
+        ip: this.options.clientIp(req),
         connectedAt: Date.now()
       }
     };
 
+    connection.socket = this.createSocket(connection);
+
     this.connections.set(connectionId, connection);
     this.connectionMetrics.activeConnections++;
     this.connectionMetrics.totalConnections++;
@@ -89,6 +161,24 @@ class Gateway extends EventEmitter {
     this.emit('connection', connection);
   }
 
+  // What handlers and server.js see instead of the raw ws - sends are queued
+  createSocket(connection) {
+    const gateway = this;
+    return {
+      connectionId: connection.id,
+      userId: connection.userId,
+      get readyState() {
+        return connection.isAlive ? connection.ws.readyState : 3; // CLOSED
+      },
+      send(data) {
+        return gateway.enqueue(connection, data);
+      },
+      close(code, reason) {
+        gateway.closeConnection(connection.id, reason, code);
+      }
+    };
+  }
+
   // Discord-style sharding
   calculateShardId(userId) {
     // Simple consistent hashing - in production, use a proper hash ring
@@ -121,8 +211,16 @@ class Gateway extends EventEmitter {
     const batch = this.messageQueue.splice(0, this.options.messageBatchSize);
     
     try {
-      // Process messages in parallel
-      const promises = batch.map(message => this.processMessage(message));
+      // Parallel across connections, sequential within one
+      const promises = batch.map(message => {
+        const connection = this.connections.get(message.connectionId);
+        if (!connection) return Promise.resolve();
+        // A failed event must not break the chain for the events queued behind it
+        connection.inbound = connection.inbound
+          .then(() => this.processMessage(message))
+          .catch(error => console.error('❌ [GATEWAY] Error processing message:', error));
+        return connection.inbound;
+      });
       await Promise.allSettled(promises);
       
       this.connectionMetrics.messagesProcessed += batch.length;
@@ -133,37 +231,82 @@ class Gateway extends EventEmitter {
 
   // Discord-style message processing
   async processMessage(message) {
-    const { connectionId, eventType, payload, timestamp } = message;
+    const { connectionId, eventType, payload, requestId } = message;
     const connection = this.connections.get(connectionId);
     
     if (!connection || !connection.isAlive) {
       return;
     }
 
+    // Update activity
+    connection.lastActivity = Date.now();
+
+    // Per-event view of the socket: errors echo the originating event, responses echo the request ID
+    const socket = Object.create(connection.socket, {
+      event: { value: eventType },
+      requestId: { value: requestId || null }
+    });
+
+    const entry = this.handlers.get(eventType);
+    if (!entry) {
+      this.connectionMetrics.unknownEvents++;
+      console.log(`⚠️ [GATEWAY] Unknown event type: ${eventType}`);
+      this.sendError(socket, 'ERROR', ERROR_CODES.UNKNOWN_EVENT, 'Unknown event type');
+      return;
+    }
+
+    const errorEvent = entry.errorEvent || 'ERROR';
+
+    if (!connection.userId && !entry.allowUnauthenticated) {
+      console.log('❌ [GATEWAY] Unauthenticated connection attempted operation:', eventType);
+      this.sendError(socket, errorEvent, ERROR_CODES.UNAUTHENTICATED, 'Authentication required');
+      return;
+    }
+
     try {
-      // Update activity
-      connection.lastActivity = Date.now();
-      
-      // Route message based on type
-      switch (eventType) {
-        case 'PING':
-          await this.handlePing(connection, payload);
-          break;
-        case 'SEND_MESSAGE':
-          await this.handleSendMessage(connection, payload);
-          break;
-        case 'FETCH_MESSAGES':
-          await this.handleFetchMessages(connection, payload);
-          break;
-        default:
-          console.log(`⚠️ [GATEWAY] Unknown event type: ${eventType}`);
+      // options.rateLimit(eventType, connection) resolves to { allowed, retryAfterMs }
+      if (this.options.rateLimit) {
+        const limit = await this.options.rateLimit(eventType, connection);
+        if (limit && !limit.allowed) {
+          this.connectionMetrics.rateLimited++;
+          this.sendError(socket, errorEvent, ERROR_CODES.RATE_LIMITED, 'Too many requests', {
+            retryAfterMs: limit.retryAfterMs
+          });
+          return;
+        }
+      }
+
+      const validationErrors = validatePayload(entry.schema || this.options.schemas?.[eventType], payload);
+      if (validationErrors) {
+        this.connectionMetrics.validationFailures++;
+        this.sendError(socket, errorEvent, ERROR_CODES.VALIDATION_FAILED, validationErrors[0].message, {
+          details: validationErrors
+        });
+        return;
       }
+
+      await entry.handler(connection.userId, payload ?? {}, socket, connection);
     } catch (error) {
-      console.error(`❌ [GATEWAY] Message processing error:`, error);
-      this.sendToConnection(connection, 'ERROR', { message: 'Message processing failed' });
+      // EventError carries its own code; anything else is reported generically
+      if (error.code && ERROR_CODES[error.code]) {
+        this.sendError(socket, errorEvent, error.code, error.message, error.details && { details: error.details });
+        return;
+      }
+
+      this.connectionMetrics.handlerErrors++;
+      console.error(`❌ [GATEWAY] Error in ${eventType} handler:`, error);
+      if (entry.errorPayload) {
+        socket.send(encodeFrame(errorEvent, { ...entry.errorPayload, event: eventType }, socket.requestId));
+      } else if (entry.errorMessage) {
+        this.sendError(socket, errorEvent, ERROR_CODES.INTERNAL_ERROR, entry.errorMessage);
+      }
     }
   }
 
+  sendError(socket, errorEvent, code, message, extra = {}) {
+    return socket.send(encodeFrame(errorEvent, { code, message, event: socket.event, ...extra }, socket.requestId));
+  }
+
   // Discord-style heartbeat management
   startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
@@ -188,15 +331,8 @@ class Gateway extends EventEmitter {
 
       // Send heartbeat to alive connections
       if (connection.isAlive && connection.ws.readyState === 1) {
-        try {
-          this.sendToConnection(connection, 'HEARTBEAT', {
-            timestamp: now,
-            serverTime: now
-          });
-        } catch (error) {
-          console.error(`❌ [GATEWAY] Heartbeat send error:`, error);
-          deadConnections.push(connectionId);
-        }
+        this.sendToConnection(connection, this.options.heartbeatEvent, this.options.heartbeatPayload(connection));
+        this.emit('heartbeat', connection);
       }
     }
 
@@ -207,16 +343,21 @@ class Gateway extends EventEmitter {
   }
 
   // Discord-style connection cleanup
-  closeConnection(connectionId, reason = 'Unknown') {
+  closeConnection(connectionId, reason = 'Unknown', code = 1000) {
     const connection = this.connections.get(connectionId);
     if (!connection) return;
 
     connection.isAlive = false;
+    connection.outbound = [];
+    if (connection.flushTimer) {
+      clearTimeout(connection.flushTimer);
+      connection.flushTimer = null;
+    }
     this.connections.delete(connectionId);
     this.connectionMetrics.activeConnections--;
 
     if (connection.ws.readyState === 1) {
-      connection.ws.close(1000, reason);
+      connection.ws.close(code, reason);
     }
 
     console.log(`🔌 [GATEWAY] Connection closed:`, {
@@ -230,11 +371,12 @@ class Gateway extends EventEmitter {
   }
 
   // Discord-style message queuing
-  queueMessage(connectionId, eventType, payload) {
+  queueMessage(connectionId, eventType, payload, requestId = null) {
     const message = {
       connectionId,
       eventType,
       payload,
+      requestId,
       timestamp: Date.now()
     };
 
@@ -257,21 +399,15 @@ class Gateway extends EventEmitter {
       });
 
       const message = msgpack.encode([eventType, payload, Date.now()]);
+      const memberIds = new Set(members.map(m => m.userId));
       let sentCount = 0;
 
       // Send to all connected members
-      for (const [connectionId, connection] of this.connections) {
+      for (const connection of this.connections.values()) {
         if (connection.userId === excludeUserId) continue;
-        if (!members.some(m => m.userId === connection.userId)) continue;
-        if (!connection.isAlive) continue;
-
-        try {
-          connection.ws.send(message);
-          sentCount++;
-        } catch (error) {
-          console.error(`❌ [GATEWAY] Broadcast error:`, error);
-          this.closeConnection(connectionId, 'Send error');
-        }
+        if (!memberIds.has(connection.userId)) continue;
+
+        if (this.enqueue(connection, message)) sentCount++;
       }
 
       console.log(`📢 [GATEWAY] Broadcast complete:`, {
@@ -287,7 +423,7 @@ class Gateway extends EventEmitter {
 
   // Discord-style metrics collection
   startMetricsCollection() {
-    setInterval(() => {
+    this.metricsInterval = setInterval(() => {
       const now = Date.now();
       const uptime = now - this.connectionMetrics.lastReset;
       
@@ -295,62 +431,147 @@ class Gateway extends EventEmitter {
         activeConnections: this.connectionMetrics.activeConnections,
         totalConnections: this.connectionMetrics.totalConnections,
         messagesProcessed: this.connectionMetrics.messagesProcessed,
+        messagesSent: this.connectionMetrics.messagesSent,
         queueSize: this.messageQueue.length,
         uptime: Math.round(uptime / 1000) + 's'
       });
 
       // Reset counters
       this.connectionMetrics.messagesProcessed = 0;
+      this.connectionMetrics.messagesSent = 0;
       this.connectionMetrics.lastReset = now;
     }, 30000); // Every 30 seconds
   }
 
+  // Snapshot for the admin metrics endpoint - per-window counters reset every 30s
+  getMetrics() {
+    const shards = {};
+    let outboundQueued = 0;
+    let maxOutboundQueue = 0;
+    let bufferedBytes = 0;
+
+    for (const connection of this.connections.values()) {
+      shards[connection.shardId] = (shards[connection.shardId] || 0) + 1;
+      outboundQueued += connection.outbound.length;
+      maxOutboundQueue = Math.max(maxOutboundQueue, connection.outbound.length);
+      bufferedBytes += connection.ws.bufferedAmount || 0;
+    }
+
+    return {
+      ...this.connectionMetrics,
+      windowSeconds: Math.round((Date.now() - this.connectionMetrics.lastReset) / 1000),
+      inboundQueueSize: this.messageQueue.length,
+      outboundQueued,
+      maxOutboundQueue,
+      bufferedBytes,
+      shards,
+      registeredHandlers: this.handlers.size,
+      uptime: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
   // Utility methods
   generateConnectionId() {
     return `conn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  // Default session-token auth; pass options.authenticate to customise
   async authenticateConnection(req) {
-    // Your existing authentication logic
     const url = new URL(req.url, `http://${req.headers.host}`);
     const token = url.searchParams.get('token');
     
     if (!token) return null;
     
-    // Validate token and return userId
-    // This should match your existing auth logic
-    try {
-      const user = await this.validateToken(token);
-      return user?.id || null;
-    } catch (error) {
-      console.error('❌ [GATEWAY] Auth error:', error);
-      return null;
-    }
+    const user = await this.validateToken(token);
+    return user ? { userId: user.id, username: user.username } : null;
   }
 
   async validateToken(token) {
-    // Your existing token validation logic
-    // This should match what you have in server.js
-    return null; // Placeholder
+    const session = await prisma.session.findUnique({
+      where: { token },
+      include: { user: true }
+    });
+
+    if (!session || session.expiresAt < new Date()) return null;
+    return session.user;
   }
 
   sendToConnection(connection, eventType, payload) {
-    if (!connection.isAlive || connection.ws.readyState !== 1) return;
-    
+    return this.enqueue(connection, msgpack.encode([eventType, payload, Date.now()]));
+  }
+
+  // Per-connection outbound queue - frames wait while the socket is over its high-water mark
+  enqueue(connection, data) {
+    if (!connection.isAlive || connection.ws.readyState !== 1) return false;
+
+    connection.outbound.push(data);
+
+    // A client that cannot keep up is dropped; it can RESUME on reconnect
+    if (connection.outbound.length > this.options.maxOutboundQueue) {
+      this.connectionMetrics.slowConsumerDisconnects++;
+      console.warn('⚠️ [GATEWAY] Outbound queue overflow, dropping slow consumer:', {
+        connectionId: connection.id,
+        userId: connection.userId,
+        queued: connection.outbound.length,
+        bufferedBytes: connection.ws.bufferedAmount
+      });
+      this.closeConnection(connection.id, 'Slow consumer', 1013);
+      return false;
+    }
+
+    this.flush(connection);
+    return true;
+  }
+
+  flush(connection) {
+    if (connection.flushTimer) return; // already waiting on backpressure
+
+    while (connection.outbound.length > 0 && connection.isAlive) {
+      if (connection.ws.bufferedAmount >= this.options.maxBufferedBytes) {
+        connection.flushTimer = setTimeout(() => {
+          connection.flushTimer = null;
+          this.flush(connection);
+        }, this.options.outboundFlushDelay);
+        return;
+      }
+
+      try {
+        connection.ws.send(connection.outbound.shift());
+        this.connectionMetrics.messagesSent++;
+      } catch (error) {
+        console.error(`❌ [GATEWAY] Send error:`, error);
+        this.closeConnection(connection.id, 'Send error');
+        return;
+      }
+    }
+  }
+
+  // Inbound frames are [eventType, payload, timestamp?, requestId?] (JSON: { type, payload, requestId? })
+  decodeMessage(data) {
+    let frame;
+    // Try to parse as msgpack first, then fall back to JSON (authentication messages)
     try {
-      const message = msgpack.encode([eventType, payload, Date.now()]);
-      connection.ws.send(message);
-    } catch (error) {
-      console.error(`❌ [GATEWAY] Send error:`, error);
-      this.closeConnection(connection.id, 'Send error');
+      const [eventType, payload, timestamp, requestId] = msgpack.decode(new Uint8Array(data));
+      // Clients that skip the timestamp may put the request ID third
+      frame = { eventType, payload, requestId: requestId ?? (typeof timestamp === 'string' ? timestamp : null) };
+    } catch (msgpackError) {
+      const jsonData = JSON.parse(data.toString());
+      frame = { eventType: jsonData.type, payload: jsonData.payload, requestId: jsonData.requestId };
     }
+
+    // Request IDs are opaque short strings chosen by the client
+    if (typeof frame.requestId !== 'string' || frame.requestId.length > MAX_REQUEST_ID_LENGTH) {
+      frame.requestId = null;
+    }
+    return frame;
   }
 
   setupConnectionHandlers(connection) {
     connection.ws.on('message', (data) => {
       try {
-        const [eventType, payload] = msgpack.decode(new Uint8Array(data));
-        this.queueMessage(connection.id, eventType, payload);
+        const { eventType, payload, requestId } = this.decodeMessage(data);
+        connection.lastHeartbeat = Date.now();
+        this.queueMessage(connection.id, eventType, payload, requestId);
       } catch (error) {
         console.error('❌ [GATEWAY] Message decode error:', error);
       }
@@ -379,6 +600,10 @@ class Gateway extends EventEmitter {
       clearInterval(this.batchProcessor);
     }
 
+    if (this.metricsInterval) {
+      clearInterval(this.metricsInterval);
+    }
+
     // Close all connections gracefully
     const closePromises = Array.from(this.connections.values()).map(connection => {
       return new Promise(resolve => {
@@ -394,4 +619,6 @@ class Gateway extends EventEmitter {
   }
 }
 
+Gateway.encodeFrame = encodeFrame;
+
 module.exports = Gateway;
@@ -1,7 +1,6 @@
 // Gateway integration for existing server.js
+const { WebSocketServer } = require('ws');
 const Gateway = require('./gateway');
-const { prisma } = require('./prisma');
-const redis = require('./redis');
 
 // Create a wrapper that integrates with your existing server
 class ServerGateway {
@@ -13,11 +12,18 @@ class ServerGateway {
       messageBatchSize: options.messageBatchSize || 100,
       ...options
     });
-    
+    this.wss = new WebSocketServer({ server, maxPayload: options.maxPayload || 100 * 1024 * 1024 });
+
     this.setupGatewayHandlers();
   }
 
   setupGatewayHandlers() {
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.wss.on('error', (error) => {
+      console.error('❌ [GATEWAY] WebSocket server error:', error);
+    });
+
     // Handle new connections
     this.gateway.on('connection', (connection) => {
       console.log('🔌 [GATEWAY] New connection:', {
@@ -39,7 +45,29 @@ class ServerGateway {
 
   // Handle WebSocket connections through gateway
   handleConnection(ws, req) {
-    this.gateway.handleConnection(ws, req);
+    this.gateway.handleConnection(ws, req).catch(error => {
+      console.error('💥 [GATEWAY] Connection error:', error);
+      try {
+        ws.close(1008, 'Authentication failed');
+      } catch (e) {
+        console.error('Failed to close WebSocket after connection error:', e.message);
+      }
+    });
+  }
+
+  // Handler registry - see Gateway.registerHandler
+  registerHandler(eventType, handler, options = {}) {
+    this.gateway.registerHandler(eventType, handler, options);
+  }
+
+  registerHandlers(definitions) {
+    this.gateway.registerHandlers(definitions);
+  }
+
+  // connection / disconnection / heartbeat lifecycle events
+  on(event, listener) {
+    this.gateway.on(event, listener);
+    return this;
   }
 
   // Broadcast to channel using gateway
@@ -50,10 +78,9 @@ class ServerGateway {
   // Get connection metrics
   getMetrics() {
     return {
-      totalConnections: this.gateway.connections.size,
-      activeConnections: this.gateway.connections.size,
-      messageQueueSize: this.gateway.messageQueue.length,
-      uptime: process.uptime()
+      ...this.gateway.getMetrics(),
+      processUptime: process.uptime(),
+      memory: process.memoryUsage()
     };
   }
 
@@ -61,6 +88,7 @@ class ServerGateway {
   async shutdown() {
     console.log('🛑 [GATEWAY] Starting graceful shutdown...');
     await this.gateway.shutdown();
+    await new Promise(resolve => this.wss.close(() => resolve()));
     console.log('✅ [GATEWAY] Shutdown complete');
   }
 }
@@ -0,0 +1,71 @@
+/**
+ * @mention parsing for chat messages
+ * Usernames follow the same rules as routes/auth.js (3-20 chars of [a-zA-Z0-9_-])
+ */
+
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@-])@([a-zA-Z0-9_-]{3,20})(?![a-zA-Z0-9_-])/g;
+
+// Parse the raw tokens out of a message body
+function parseMentions(content) {
+  const result = {
+    usernames: [],
+    everyone: false,
+    here: false
+  };
+
+  if (typeof content !== 'string' || !content.includes('@')) {
+    return result;
+  }
+
+  const usernames = new Set();
+  for (const match of content.matchAll(MENTION_REGEX)) {
+    const token = match[2].toLowerCase();
+    if (token === 'everyone') {
+      result.everyone = true;
+    } else if (token === 'here') {
+      result.here = true;
+    } else {
+      usernames.add(token);
+    }
+  }
+
+  result.usernames = [...usernames];
+  return result;
+}
+
+/**
+ * Resolve parsed mentions against the channel's members
+ * @param {object} parsed - output of parseMentions
+ * @param {Array<{userId: string, username: string|null}>} members - channel members
+ * @param {object} options
+ * @param {boolean} options.allowEveryone - whether the author may use @everyone
+ * @param {(userId: string) => boolean} options.isOnline - presence check for @here
+ * @param {string} options.authorId - never notified about their own message
+ */
+function resolveMentions(parsed, members, { allowEveryone = false, isOnline = () => false, authorId = null } = {}) {
+  const mentionedUserIds = new Set();
+  const mentionsEveryone = parsed.everyone && allowEveryone;
+
+  for (const member of members) {
+    if (member.userId === authorId) continue;
+
+    const username = member.username?.toLowerCase();
+    if (
+      mentionsEveryone ||
+      (parsed.here && isOnline(member.userId)) ||
+      (username && parsed.usernames.includes(username))
+    ) {
+      mentionedUserIds.add(member.userId);
+    }
+  }
+
+  return {
+    mentionedUserIds: [...mentionedUserIds],
+    mentionsEveryone
+  };
+}
+
+module.exports = {
+  parseMentions,
+  resolveMentions
+};
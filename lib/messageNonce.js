@@ -0,0 +1,70 @@
+/**
+ * Idempotent message sends
+ * Clients attach a nonce to each message; a retry with the same nonce returns
+ * the message stored by the first attempt instead of creating a duplicate.
+ * Nonces are unique per author (Message @@unique([authorId, nonce])), so a nonce
+ * reused in another channel is a conflict rather than a retry.
+ */
+
+const { prisma } = require('./prisma');
+const { ERROR_CODES, EventError } = require('./eventErrors');
+
+const MAX_NONCE_LENGTH = 64;
+
+// Nonces may be strings or integers (stored as text); anything else is ignored
+function normalizeNonce(nonce) {
+  if (typeof nonce === 'number' && Number.isSafeInteger(nonce)) return String(nonce);
+  if (typeof nonce === 'string' && nonce.length > 0 && nonce.length <= MAX_NONCE_LENGTH) return nonce;
+  return null;
+}
+
+function findMessageByNonce(authorId, nonce, include) {
+  return prisma.message.findUnique({
+    where: { authorId_nonce: { authorId, nonce } },
+    include
+  });
+}
+
+// A stored message only counts as the retried send if it went to the same channel
+function asDuplicate(message, channelId) {
+  if (message.channelId !== channelId) {
+    throw new EventError(ERROR_CODES.CONFLICT, 'Nonce was already used for a message in another channel');
+  }
+  return { message, duplicate: true };
+}
+
+/**
+ * Create a message unless its author already sent one with the same nonce.
+ * Returns { message, duplicate }; throws a CONFLICT EventError when the nonce
+ * belongs to a message in another channel.
+ */
+async function createMessageOnce(data, include) {
+  const nonce = normalizeNonce(data.nonce);
+  if (!nonce) {
+    const message = await prisma.message.create({ data: { ...data, nonce: null }, include });
+    return { message, duplicate: false };
+  }
+
+  const existing = await findMessageByNonce(data.authorId, nonce, include);
+  if (existing) {
+    return asDuplicate(existing, data.channelId);
+  }
+
+  try {
+    const message = await prisma.message.create({ data: { ...data, nonce }, include });
+    return { message, duplicate: false };
+  } catch (error) {
+    // A concurrent retry of the same send got there first
+    if (error.code === 'P2002') {
+      const message = await findMessageByNonce(data.authorId, nonce, include);
+      if (message) return asDuplicate(message, data.channelId);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  MAX_NONCE_LENGTH,
+  normalizeNonce,
+  createMessageOnce
+};
@@ -0,0 +1,165 @@
+// Full-text message search backed by the Message.searchVector GIN index
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./prisma');
+
+const MAX_RESULTS = 50;
+
+// has:<type> filters map onto Message.type (see determineMessageType in server.js)
+const HAS_FILTERS = {
+  image: 2,
+  gif: 3,
+  audio: 4,
+  video: 5
+};
+
+const DEFAULT_SELECT = {
+  id: true,
+  content: true,
+  type: true,
+  sentAt: true,
+  editedAt: true,
+  authorId: true,
+  channelId: true,
+  repliedToMessageId: true,
+  attachments: true,
+  author: {
+    select: {
+      id: true,
+      username: true,
+      displayName: true,
+      avatarUrl: true
+    }
+  }
+};
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Normalize WebSocket payloads and REST query strings into search filters.
+ * Inline `has:<type>` tokens in the query are lifted into the has filter.
+ * Returns { error } when the input cannot be searched.
+ */
+function parseSearchFilters(input = {}, userId) {
+  let query = typeof input.query === 'string' ? input.query : (input.q || '');
+  const has = new Set(
+    [].concat(input.has || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+  query = query.replace(/(^|\s)has:([a-z]+)/gi, (match, space, type) => {
+    has.add(type.toLowerCase());
+    return space;
+  }).replace(/\s+/g, ' ').trim();
+
+  for (const type of has) {
+    if (type !== 'attachment' && !HAS_FILTERS[type]) {
+      return { error: `Unknown has: filter "${type}"` };
+    }
+  }
+
+  const after = parseDate(input.after);
+  const before = parseDate(input.before);
+  if (after === undefined || before === undefined) {
+    return { error: 'Invalid date range' };
+  }
+
+  const mentions = input.mentions === 'me' ? userId : (input.mentions || null);
+
+  if (!query && !input.channelId && !input.authorId && !mentions && has.size === 0 && !after && !before) {
+    return { error: 'A search query or at least one filter is required' };
+  }
+
+  return {
+    filters: {
+      query,
+      channelId: input.channelId || null,
+      authorId: input.authorId || null,
+      mentions,
+      has: [...has],
+      after,
+      before,
+      limit: Math.min(Math.max(parseInt(input.limit) || 25, 1), MAX_RESULTS),
+      offset: Math.max(parseInt(input.offset) || 0, 0)
+    }
+  };
+}
+
+/**
+ * Search messages visible to userId. Only channels where the caller has a
+ * ChannelMember row are searched, and soft-deleted messages are excluded.
+ */
+async function searchMessages(userId, filters, { select = DEFAULT_SELECT } = {}) {
+  const conditions = [
+    Prisma.sql`m."deletedAt" IS NULL`
+  ];
+
+  const tsQuery = filters.query
+    ? Prisma.sql`websearch_to_tsquery('simple', ${filters.query})`
+    : null;
+
+  if (tsQuery) conditions.push(Prisma.sql`m."searchVector" @@ ${tsQuery}`);
+  if (filters.channelId) conditions.push(Prisma.sql`m."channelId" = ${filters.channelId}`);
+  if (filters.authorId) conditions.push(Prisma.sql`m."authorId" = ${filters.authorId}`);
+  if (filters.mentions) conditions.push(Prisma.sql`${filters.mentions} = ANY(m."mentionedUserIds")`);
+  if (filters.after) conditions.push(Prisma.sql`m."sentAt" >= ${filters.after}`);
+  if (filters.before) conditions.push(Prisma.sql`m."sentAt" < ${filters.before}`);
+
+  for (const type of filters.has) {
+    if (type === 'attachment') {
+      conditions.push(Prisma.sql`jsonb_typeof(m."attachments") = 'array' AND jsonb_array_length(m."attachments") > 0`);
+    } else {
+      conditions.push(Prisma.sql`m."type" = ${HAS_FILTERS[type]}`);
+    }
+  }
+
+  const where = Prisma.join(conditions, ' AND ');
+  const orderBy = tsQuery
+    ? Prisma.sql`ts_rank(m."searchVector", ${tsQuery}) DESC, m."sentAt" DESC`
+    : Prisma.sql`m."sentAt" DESC`;
+
+  const [rows, countRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT m."id"
+      FROM "Message" m
+      INNER JOIN "ChannelMember" cm ON cm."channelId" = m."channelId" AND cm."userId" = ${userId}
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${filters.limit} OFFSET ${filters.offset}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::INTEGER AS "total"
+      FROM "Message" m
+      INNER JOIN "ChannelMember" cm ON cm."channelId" = m."channelId" AND cm."userId" = ${userId}
+      WHERE ${where}
+    `
+  ]);
+
+  const ids = rows.map(row => row.id);
+  const messages = ids.length > 0
+    ? await prisma.message.findMany({
+        where: { id: { in: ids } },
+        select
+      })
+    : [];
+
+  // findMany does not preserve rank order
+  const byId = new Map(messages.map(message => [message.id, message]));
+
+  return {
+    messages: ids.map(id => byId.get(id)).filter(Boolean),
+    total: countRows[0]?.total || 0,
+    limit: filters.limit,
+    offset: filters.offset
+  };
+}
+
+module.exports = {
+  parseSearchFilters,
+  searchMessages
+};
@@ -0,0 +1,22 @@
+/**
+ * msgpack as text
+ * Values stored in or sent through Redis are msgpack-encoded and carried as
+ * base64 strings rather than JSON, so Dates come back as Dates - the same types
+ * the sockets' own msgpack frames carry. Used by the event bus and the replay buffer.
+ */
+
+const msgpack = require('msgpack-lite');
+
+function encode(value) {
+  return msgpack.encode(value).toString('base64');
+}
+
+// Throws on input that is not base64 msgpack
+function decode(text) {
+  return msgpack.decode(Buffer.from(text, 'base64'));
+}
+
+module.exports = {
+  encode,
+  decode
+};
@@ -0,0 +1,170 @@
+/**
+ * Room and channel permissions
+ * Every RoomMemberRole has a default bitfield. A room can override it per role,
+ * and a channel can override it again: permissionOverrides is stored as
+ * { [role]: { allow, deny } } on Room and Channel, applied in that order.
+ * OWNER and global admins always hold every permission.
+ */
+
+const { prisma } = require('./prisma');
+
+const PERMISSIONS = {
+  SEND_MESSAGES: 1 << 0,
+  ATTACH_FILES: 1 << 1,
+  MENTION_EVERYONE: 1 << 2,
+  PIN_MESSAGES: 1 << 3,
+  CREATE_INVITES: 1 << 4,
+  MANAGE_MEMBERS: 1 << 5,   // kick and time out
+  BAN_MEMBERS: 1 << 6,
+  MANAGE_ROLES: 1 << 7,     // member roles and permission overrides
+  MANAGE_MESSAGES: 1 << 8,  // delete others' messages, exempt from slow mode
+  MANAGE_CHANNELS: 1 << 9,  // room channels and categories, slow mode
+  UNLIMITED_ROOMS: 1 << 10, // global only - no cap on rooms created
+  VIEW_AUDIT_LOG: 1 << 11,
+  POST_ANNOUNCEMENTS: 1 << 12 // post in announcement channels
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS).reduce((all, permission) => all | permission, 0);
+
+const MEMBER_PERMISSIONS = PERMISSIONS.SEND_MESSAGES | PERMISSIONS.ATTACH_FILES;
+const MODERATOR_PERMISSIONS = MEMBER_PERMISSIONS
+  | PERMISSIONS.PIN_MESSAGES
+  | PERMISSIONS.CREATE_INVITES
+  | PERMISSIONS.MANAGE_MEMBERS
+  | PERMISSIONS.MANAGE_MESSAGES
+  | PERMISSIONS.POST_ANNOUNCEMENTS;
+const ADMIN_PERMISSIONS = MODERATOR_PERMISSIONS
+  | PERMISSIONS.MENTION_EVERYONE
+  | PERMISSIONS.BAN_MEMBERS
+  | PERMISSIONS.MANAGE_ROLES
+  | PERMISSIONS.MANAGE_CHANNELS
+  | PERMISSIONS.VIEW_AUDIT_LOG;
+
+const ROLE_PERMISSIONS = {
+  MEMBER: MEMBER_PERMISSIONS,
+  MODERATOR: MODERATOR_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS,
+  OWNER: ALL_PERMISSIONS
+};
+
+// Roles whose permissions can be overridden - OWNER is fixed
+const OVERRIDABLE_ROLES = ['ADMIN', 'MODERATOR', 'MEMBER'];
+
+// Global User.role values
+const USER_ROLES = {
+  ADMIN: 0,
+  MEMBER: 1,
+  MODERATOR: 2,
+  DEV: 3
+};
+
+// Granted everywhere on top of room/channel permissions
+const USER_ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: ALL_PERMISSIONS,
+  [USER_ROLES.MODERATOR]: PERMISSIONS.PIN_MESSAGES | PERMISSIONS.MANAGE_MESSAGES,
+  [USER_ROLES.DEV]: PERMISSIONS.UNLIMITED_ROOMS
+};
+
+// Channels outside rooms: DM members may also pin
+const DM_PERMISSIONS = MEMBER_PERMISSIONS | PERMISSIONS.PIN_MESSAGES;
+
+function hasPermission(permissions, permission) {
+  return (permissions & permission) === permission;
+}
+
+function getUserPermissions(userRole) {
+  return USER_ROLE_PERMISSIONS[userRole] || 0;
+}
+
+function applyOverride(permissions, override) {
+  if (!override) return permissions;
+  return (permissions & ~(override.deny || 0)) | (override.allow || 0);
+}
+
+/**
+ * Pure permission math - roomRole is the member's role, or null for non-members.
+ * Non-members of public rooms get MEMBER defaults, as they can read and post there.
+ */
+function computeRoomPermissions({ userRole, roomRole, isPublic, roomOverrides, channelOverrides }) {
+  const globalPermissions = getUserPermissions(userRole);
+  const role = roomRole || (isPublic ? 'MEMBER' : null);
+
+  if (!role) return globalPermissions;
+  if (role === 'OWNER') return ALL_PERMISSIONS;
+
+  let permissions = ROLE_PERMISSIONS[role];
+  permissions = applyOverride(permissions, roomOverrides?.[role]);
+  permissions = applyOverride(permissions, channelOverrides?.[role]);
+  return permissions | globalPermissions;
+}
+
+// Room-wide permissions; pass the channel to apply its overrides as well
+async function resolveRoomPermissions(userId, roomId, channel = null) {
+  const [user, roomMember, room] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true }
+    }),
+    prisma.roomMember.findUnique({
+      where: { roomId_userId: { roomId, userId } },
+      select: { role: true }
+    }),
+    prisma.room.findUnique({
+      where: { id: roomId },
+      select: { privacy: true, permissionOverrides: true }
+    })
+  ]);
+
+  if (!room) return getUserPermissions(user?.role);
+
+  return computeRoomPermissions({
+    userRole: user?.role,
+    roomRole: roomMember?.role || null,
+    isPublic: room.privacy === 1,
+    roomOverrides: room.permissionOverrides,
+    channelOverrides: channel?.permissionOverrides
+  });
+}
+
+// Effective permissions in one channel - room channels apply room and channel overrides
+async function resolveChannelPermissions(userId, channelId) {
+  const channel = await prisma.channel.findUnique({
+    where: { id: channelId },
+    select: { id: true, type: true, roomId: true, permissionOverrides: true }
+  });
+
+  if (!channel) return 0;
+  if (channel.roomId) return resolveRoomPermissions(userId, channel.roomId, channel);
+
+  const [user, membership] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true }
+    }),
+    channel.type === 'dm'
+      ? prisma.channelMember.findUnique({
+        where: { channelId_userId: { channelId, userId } },
+        select: { id: true }
+      })
+      : null
+  ]);
+
+  const globalPermissions = getUserPermissions(user?.role);
+  if (channel.type === 'dm') {
+    return (membership ? DM_PERMISSIONS : 0) | globalPermissions;
+  }
+  return MEMBER_PERMISSIONS | globalPermissions;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  OVERRIDABLE_ROLES,
+  USER_ROLES,
+  hasPermission,
+  getUserPermissions,
+  computeRoomPermissions,
+  resolveRoomPermissions,
+  resolveChannelPermissions
+};
@@ -0,0 +1,78 @@
+/**
+ * Per-user, per-event rate limiting
+ * Token buckets live in Redis (lib/redis.js falls back to memory), so limits hold
+ * across instances. Budgets come from config/websocket.js `rateLimits`; the
+ * same bucket is shared by the WebSocket event and its REST equivalent.
+ */
+
+const redis = require('./redis');
+const { rateLimits } = require('../config/websocket');
+
+// Authenticated callers are limited per user, everyone else per IP
+function getIdentity({ userId, ip }) {
+  return userId ? `user:${userId}` : `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Spend one token from a bucket.
+ * Returns { allowed, retryAfterMs }; buckets without a budget always allow.
+ */
+async function consume(bucket, caller) {
+  const budget = rateLimits[bucket];
+  if (!budget) {
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  const key = redis.getRateLimitKey(bucket, getIdentity(caller));
+  return redis.takeToken(key, budget.capacity, budget.refillPerSecond);
+}
+
+function sendRateLimited(res, result) {
+  res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+  return res.status(429).json({
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    retryAfterMs: result.retryAfterMs
+  });
+}
+
+/**
+ * Client IP of a raw HTTP request (e.g. a WebSocket upgrade), walking
+ * X-Forwarded-For from the nearest hop while `trust` (Express's compiled
+ * 'trust proxy fn') vouches for it - the same address Express gives req.ip.
+ */
+function getClientIp(req, trust) {
+  const forwarded = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .reverse();
+  const addresses = [req.socket.remoteAddress, ...forwarded];
+
+  for (let hop = 0; hop < addresses.length - 1; hop++) {
+    if (!trust(addresses[hop], hop)) return addresses[hop];
+  }
+  return addresses[addresses.length - 1];
+}
+
+// Express middleware for routes that are limited before any session lookup
+function rateLimit(bucket) {
+  return async (req, res, next) => {
+    try {
+      const result = await consume(bucket, { ip: req.ip });
+      if (!result.allowed) {
+        return sendRateLimited(res, result);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  consume,
+  getClientIp,
+  rateLimit,
+  sendRateLimited
+};
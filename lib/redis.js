@@ -1,12 +1,52 @@
 const { Redis } = require('@upstash/redis');
 
+// KEYS[1] = bucket hash, ARGV = capacity, refillPerSecond, now (ms)
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) / 1000 * rate)
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfterMs = math.ceil((1 - tokens) / rate * 1000)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000))
+return { allowed, retryAfterMs }
+`;
+
+// KEYS = [activeKey, seqKey, bufferKey] per stream, ARGV = entry, maxLength, seqTtl, bufferTtl.
+// Streams whose active marker is gone are skipped (seq 0); buffered items are "<seq>:<entry>"
+const APPEND_TO_STREAMS_SCRIPT = `
+local seqs = {}
+for i = 1, #KEYS, 3 do
+  local seq = 0
+  if redis.call('EXISTS', KEYS[i]) == 1 then
+    seq = redis.call('INCR', KEYS[i + 1])
+    redis.call('EXPIRE', KEYS[i + 1], ARGV[3])
+    redis.call('RPUSH', KEYS[i + 2], seq .. ':' .. ARGV[1])
+    redis.call('LTRIM', KEYS[i + 2], -tonumber(ARGV[2]), -1)
+    redis.call('EXPIRE', KEYS[i + 2], ARGV[4])
+  end
+  seqs[#seqs + 1] = seq
+end
+return seqs
+`;
+
 class RedisCache {
   constructor() {
     this.redis = null;
     this.isConnected = false;
     this.memoryCache = new Map(); // Fallback in-memory cache
     this.memoryCacheExpiry = new Map(); // TTL for memory cache
-    this.init();
+    this.ready = this.init(); // Resolves once connected or fallen back to memory
   }
 
   async init() {
@@ -196,6 +236,133 @@ class RedisCache {
     }
   }
 
+  // SET NX - true only for the caller that created the key, so it can serve as a lock.
+  // Fails closed: a Redis error returns false rather than letting every instance through.
+  async setIfAbsent(key, value, ttlSeconds = 300) {
+    if (!this.isConnected) {
+      // Fallback to memory cache
+      if (this.getFromMemoryCache(key) !== null) return false;
+      this.setInMemoryCache(key, value, ttlSeconds);
+      return true;
+    }
+    try {
+      return (await this.redis.set(key, value, { nx: true, ex: ttlSeconds })) === 'OK';
+    } catch (error) {
+      console.error('❌ [REDIS] Set-if-absent error:', error);
+      return false;
+    }
+  }
+
+  // Append to a capped list, keeping only the newest maxLength entries
+  pushToMemoryList(key, value, maxLength, ttlSeconds) {
+    const list = this.getFromMemoryCache(key) || [];
+    list.push(value);
+    if (list.length > maxLength) {
+      list.splice(0, list.length - maxLength);
+    }
+    this.setInMemoryCache(key, list, ttlSeconds);
+  }
+
+  async getList(key) {
+    if (!this.isConnected) {
+      // Fallback to memory cache
+      return this.getFromMemoryCache(key) || [];
+    }
+    try {
+      return await this.redis.lrange(key, 0, -1);
+    } catch (error) {
+      console.error('❌ [REDIS] List range error, falling back to memory cache:', error);
+      return this.getFromMemoryCache(key) || [];
+    }
+  }
+
+  /**
+   * Sequence and buffer one entry for many streams in a single round trip.
+   * streams: [{ activeKey, seqKey, bufferKey }]; entry is a string. Returns each
+   * stream's new sequence number, 0 for streams that are not active.
+   */
+  async appendToStreams(streams, entry, { maxLength, seqTtlSeconds, bufferTtlSeconds }) {
+    if (!this.isConnected) {
+      // Fallback to memory cache
+      return this.appendToMemoryStreams(streams, entry, { maxLength, seqTtlSeconds, bufferTtlSeconds });
+    }
+    try {
+      const seqs = await this.redis.eval(
+        APPEND_TO_STREAMS_SCRIPT,
+        streams.flatMap(stream => [stream.activeKey, stream.seqKey, stream.bufferKey]),
+        [entry, maxLength, seqTtlSeconds, bufferTtlSeconds]
+      );
+      return seqs.map(Number);
+    } catch (error) {
+      console.error('❌ [REDIS] Stream append error, falling back to memory cache:', error);
+      return this.appendToMemoryStreams(streams, entry, { maxLength, seqTtlSeconds, bufferTtlSeconds });
+    }
+  }
+
+  appendToMemoryStreams(streams, entry, { maxLength, seqTtlSeconds, bufferTtlSeconds }) {
+    return streams.map(stream => {
+      if (this.getFromMemoryCache(stream.activeKey) === null) return 0;
+      const seq = (this.getFromMemoryCache(stream.seqKey) || 0) + 1;
+      this.setInMemoryCache(stream.seqKey, seq, seqTtlSeconds);
+      this.pushToMemoryList(stream.bufferKey, `${seq}:${entry}`, maxLength, bufferTtlSeconds);
+      return seq;
+    });
+  }
+
+  // Token bucket: take one token if available, refilling at refillPerSecond up to capacity.
+  // Returns { allowed, retryAfterMs }. The Redis path runs as a script so concurrent
+  // instances cannot both spend the last token.
+  async takeToken(key, capacity, refillPerSecond) {
+    const now = Date.now();
+    if (!this.isConnected) {
+      // Fallback to memory cache
+      return this.takeMemoryToken(key, capacity, refillPerSecond, now);
+    }
+    try {
+      const [allowed, retryAfterMs] = await this.redis.eval(
+        TOKEN_BUCKET_SCRIPT,
+        [key],
+        [capacity, refillPerSecond, now]
+      );
+      return { allowed: Number(allowed) === 1, retryAfterMs: Number(retryAfterMs) };
+    } catch (error) {
+      console.error('❌ [REDIS] Token bucket error, falling back to memory cache:', error);
+      return this.takeMemoryToken(key, capacity, refillPerSecond, now);
+    }
+  }
+
+  takeMemoryToken(key, capacity, refillPerSecond, now) {
+    const bucket = this.getFromMemoryCache(key) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+
+    this.setInMemoryCache(key, { tokens: remaining, updatedAt: now }, Math.ceil(capacity / refillPerSecond));
+    return {
+      allowed,
+      retryAfterMs: allowed ? 0 : Math.ceil(((1 - tokens) / refillPerSecond) * 1000)
+    };
+  }
+
+  // Pub/sub - only available with a live Redis connection (see lib/eventBus.js)
+  async publish(channel, message) {
+    if (!this.isConnected) return 0;
+    try {
+      return await this.redis.publish(channel, message);
+    } catch (error) {
+      console.error('❌ [REDIS] Publish error:', error);
+      return 0;
+    }
+  }
+
+  subscribe(channel, onMessage) {
+    if (!this.isConnected) return null;
+    const subscriber = this.redis.subscribe(channel);
+    subscriber.on('message', ({ message }) => onMessage(message));
+    subscriber.on('error', error => console.error('❌ [REDIS] Subscription error:', error));
+    return subscriber;
+  }
+
   // Cache key generators
   getUserChannelsKey(userId) {
     return `user:${userId}:channels`;
@@ -214,6 +381,26 @@ class RedisCache {
     return `user:${userId}`;
   }
 
+  getUserEventSeqKey(userId) {
+    return `user:${userId}:event_seq`;
+  }
+
+  getUserEventStreamKey(userId) {
+    return `user:${userId}:event_stream`;
+  }
+
+  getUserEventBufferKey(userId) {
+    return `user:${userId}:events`;
+  }
+
+  getUserEventActiveKey(userId) {
+    return `user:${userId}:event_active`;
+  }
+
+  getRateLimitKey(bucket, identity) {
+    return `ratelimit:${bucket}:${identity}`;
+  }
+
   // Invalidate cache patterns
   async invalidateUserChannels(userId) {
     if (!this.isConnected) return;
@@ -0,0 +1,95 @@
+/**
+ * Room channel access
+ * The checks run before a user posts in a room channel or is subscribed to one,
+ * shared by the WebSocket handlers and the REST routes. A failure comes back as
+ * { code, message, extra } - ready for sendError or an HTTP error body - and null
+ * means the user may go ahead. Channels outside rooms always pass.
+ */
+
+const { prisma } = require('./prisma');
+const { ERROR_CODES } = require('./eventErrors');
+const { normalizeStakingGate, checkStakingGate } = require('./stakingGate');
+
+// Channel fields getRoomChannelAccessFailure needs
+const ROOM_CHANNEL_ACCESS_SELECT = {
+  id: true,
+  roomId: true,
+  isPrivate: true,
+  room: { select: { isActive: true, stakingGate: true } }
+};
+
+// Ban still in force for a user in a room, or null
+async function getActiveRoomBan(roomId, userId) {
+  return prisma.roomBan.findFirst({
+    where: {
+      roomId,
+      userId,
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } }
+      ]
+    },
+    select: { reason: true, expiresAt: true }
+  });
+}
+
+/**
+ * Why userId may not use a room channel, or null. Banned users are always
+ * refused; non-members only get into public rooms whose staking gate they meet.
+ * `posting` also refuses archived rooms and timed-out members, which can still be read.
+ */
+async function getRoomChannelAccessFailure(userId, channel, { posting = false } = {}) {
+  if (!channel?.roomId) return null;
+
+  if (posting && !channel.room.isActive) {
+    return { code: ERROR_CODES.ROOM_INACTIVE, message: 'This room is archived' };
+  }
+
+  const [roomMember, ban] = await Promise.all([
+    prisma.roomMember.findUnique({
+      where: {
+        roomId_userId: { roomId: channel.roomId, userId }
+      },
+      select: { timeoutUntil: true }
+    }),
+    getActiveRoomBan(channel.roomId, userId)
+  ]);
+
+  if (ban) {
+    return { code: ERROR_CODES.BANNED, message: 'You are banned from this room', extra: { expiresAt: ban.expiresAt } };
+  }
+
+  if (!roomMember) {
+    if (channel.isPrivate) {
+      return { code: ERROR_CODES.NOT_A_MEMBER, message: 'You are not a member of this room' };
+    }
+
+    const stakingFailure = await checkStakingGate(channel.room.stakingGate, userId);
+    if (stakingFailure) {
+      return {
+        code: ERROR_CODES.STAKING_REQUIRED,
+        message: stakingFailure,
+        extra: { gate: normalizeStakingGate(channel.room.stakingGate) }
+      };
+    }
+  }
+
+  if (posting && roomMember?.timeoutUntil && roomMember.timeoutUntil > new Date()) {
+    return {
+      code: ERROR_CODES.TIMED_OUT,
+      message: 'You are timed out in this room',
+      extra: {
+        timeoutUntil: roomMember.timeoutUntil,
+        retryAfterMs: roomMember.timeoutUntil.getTime() - Date.now()
+      }
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  ROOM_CHANNEL_ACCESS_SELECT,
+  getActiveRoomBan,
+  getRoomChannelAccessFailure
+};
@@ -0,0 +1,86 @@
+/**
+ * Room audit log
+ * Administrative actions in a room are appended to RoomAuditLog so owners can
+ * see who did what. Recording never fails the action it describes.
+ */
+
+const { prisma } = require('./prisma');
+
+const AUDIT_ACTIONS = {
+  ROOM_CREATED: 'ROOM_CREATED',
+  ROOM_UPDATED: 'ROOM_UPDATED',
+  CHANNEL_CREATED: 'CHANNEL_CREATED',
+  CHANNEL_UPDATED: 'CHANNEL_UPDATED',         // slow mode and other channel settings
+  CHANNEL_DELETED: 'CHANNEL_DELETED',
+  CHANNELS_REORDERED: 'CHANNELS_REORDERED',
+  CATEGORY_CREATED: 'CATEGORY_CREATED',
+  CATEGORY_UPDATED: 'CATEGORY_UPDATED',
+  CATEGORY_DELETED: 'CATEGORY_DELETED',
+  CHANNEL_FOLLOWED: 'CHANNEL_FOLLOWED',       // a room channel started mirroring an announcement channel
+  CHANNEL_UNFOLLOWED: 'CHANNEL_UNFOLLOWED',
+  PERMISSIONS_UPDATED: 'PERMISSIONS_UPDATED',
+  MEMBER_ROLE_UPDATED: 'MEMBER_ROLE_UPDATED',
+  OWNERSHIP_TRANSFERRED: 'OWNERSHIP_TRANSFERRED',
+  MEMBER_KICKED: 'MEMBER_KICKED',
+  MEMBER_BANNED: 'MEMBER_BANNED',
+  MEMBER_UNBANNED: 'MEMBER_UNBANNED',
+  MEMBER_TIMED_OUT: 'MEMBER_TIMED_OUT',
+  INVITE_CREATED: 'INVITE_CREATED',
+  INVITE_USED: 'INVITE_USED',
+  INVITE_REVOKED: 'INVITE_REVOKED',
+  JOIN_REQUEST_APPROVED: 'JOIN_REQUEST_APPROVED',
+  JOIN_REQUEST_DENIED: 'JOIN_REQUEST_DENIED',
+  MESSAGE_DELETED: 'MESSAGE_DELETED',         // by a moderator, not the author
+  MESSAGE_PINNED: 'MESSAGE_PINNED',
+  MESSAGE_UNPINNED: 'MESSAGE_UNPINNED'
+};
+
+const ACTOR_SELECT = { id: true, username: true, displayName: true, avatarUrl: true };
+
+/**
+ * Append an entry. actorId is null for system actions (e.g. owner succession);
+ * targetId is the message/invite/channel the action applied to, if any.
+ */
+async function recordRoomAudit({ roomId, actorId = null, action, targetUserId = null, targetId = null, metadata = null }) {
+  if (!roomId) return null;
+  try {
+    return await prisma.roomAuditLog.create({
+      data: { roomId, actorId, action, targetUserId, targetId, metadata }
+    });
+  } catch (error) {
+    console.error('❌ [AUDIT] Failed to record room audit entry:', { roomId, action, error: error.message });
+    return null;
+  }
+}
+
+// Newest first; `before` is an entry's createdAt from the previous page
+async function fetchRoomAuditLog(roomId, { action, actorId, targetUserId, before, limit = 50 } = {}) {
+  const take = Math.min(parseInt(limit) || 50, 100);
+
+  const entries = await prisma.roomAuditLog.findMany({
+    where: {
+      roomId,
+      ...(action && { action }),
+      ...(actorId && { actorId }),
+      ...(targetUserId && { targetUserId }),
+      ...(before && { createdAt: { lt: new Date(before) } })
+    },
+    include: {
+      actor: { select: ACTOR_SELECT },
+      targetUser: { select: ACTOR_SELECT }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: take + 1
+  });
+
+  return {
+    entries: entries.slice(0, take),
+    hasMore: entries.length > take
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordRoomAudit,
+  fetchRoomAuditLog
+};
@@ -0,0 +1,81 @@
+/**
+ * Room channel layout
+ * A room holds several channels (text or announcement), optionally grouped into
+ * categories. Channels and categories are ordered by `position`, ties broken by
+ * creation time; uncategorized channels are listed above the first category.
+ */
+
+const { prisma } = require('./prisma');
+
+const ROOM_CHANNEL_TYPES = ['text-group', 'announcement'];
+const MAX_ROOM_CHANNELS = 50;
+const MAX_ROOM_CATEGORIES = 20;
+
+// Prisma orderBy for channels and categories - the first channel is the room's default
+const POSITION_ORDER = [{ position: 'asc' }, { createdAt: 'asc' }];
+
+function byPosition(a, b) {
+  return a.position - b.position || new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * Group room channels into per-room trees:
+ * [{ roomId, channelIds, categories: [{ id, name, position, channelIds }] }]
+ * channelIds at the top level are the uncategorized channels. Channels outside
+ * rooms (DMs, the community channel) are ignored. Works on cached channels too.
+ */
+async function buildRoomChannelTrees(channels) {
+  const roomChannels = channels.filter(channel => channel.roomId);
+  const roomIds = [...new Set(roomChannels.map(channel => channel.roomId))];
+  if (roomIds.length === 0) return [];
+
+  const categories = await prisma.roomChannelCategory.findMany({
+    where: { roomId: { in: roomIds } },
+    select: { id: true, roomId: true, name: true, position: true, createdAt: true },
+    orderBy: POSITION_ORDER
+  });
+
+  return roomIds.map(roomId => {
+    const channelsInRoom = roomChannels.filter(channel => channel.roomId === roomId).sort(byPosition);
+    const idsIn = categoryId => channelsInRoom
+      .filter(channel => (channel.categoryId || null) === categoryId)
+      .map(channel => channel.id);
+
+    return {
+      roomId,
+      channelIds: idsIn(null),
+      categories: categories
+        .filter(category => category.roomId === roomId)
+        .map(({ id, name, position }) => ({ id, name, position, channelIds: idsIn(id) }))
+    };
+  });
+}
+
+async function getRoomChannelTree(roomId) {
+  const channels = await prisma.channel.findMany({
+    where: { roomId },
+    select: { id: true, roomId: true, categoryId: true, position: true, createdAt: true }
+  });
+
+  const [tree] = await buildRoomChannelTrees(channels);
+  return tree || { roomId, channelIds: [], categories: [] };
+}
+
+// Position after the last channel/category matching `where`
+async function getNextPosition(model, where) {
+  const { _max } = await prisma[model].aggregate({
+    where,
+    _max: { position: true }
+  });
+  return _max.position === null ? 0 : _max.position + 1;
+}
+
+module.exports = {
+  ROOM_CHANNEL_TYPES,
+  MAX_ROOM_CHANNELS,
+  MAX_ROOM_CATEGORIES,
+  POSITION_ORDER,
+  buildRoomChannelTrees,
+  getRoomChannelTree,
+  getNextPosition
+};
@@ -0,0 +1,60 @@
+/**
+ * Room invites
+ * An invite can be redeemed until it is revoked, expires (a null expiresAt never
+ * expires) or reaches maxUses (null = unlimited). Every redemption is logged in
+ * RoomInviteUse, and useCount is bumped atomically so concurrent joins can't
+ * overshoot the limit.
+ */
+
+const INVITE_STATUS_MESSAGES = {
+  REVOKED: 'Invite code has been revoked',
+  EXPIRED: 'Invite code has expired',
+  EXHAUSTED: 'Invite code has reached its use limit'
+};
+
+// Prisma filter for invites that are neither revoked nor expired - maxUses is checked per invite
+function activeInviteWhere() {
+  return {
+    revokedAt: null,
+    OR: [
+      { expiresAt: null },
+      { expiresAt: { gt: new Date() } }
+    ]
+  };
+}
+
+// ACTIVE, REVOKED, EXPIRED or EXHAUSTED
+function getInviteStatus(invite) {
+  if (invite.revokedAt) return 'REVOKED';
+  if (invite.expiresAt && invite.expiresAt <= new Date()) return 'EXPIRED';
+  if (invite.maxUses !== null && invite.useCount >= invite.maxUses) return 'EXHAUSTED';
+  return 'ACTIVE';
+}
+
+/**
+ * Spend one use of an invite for userId. Call inside the transaction that adds
+ * the member; returns false when the invite ran out or was revoked meanwhile.
+ */
+async function redeemInvite(tx, invite, userId) {
+  const { count } = await tx.roomInvite.updateMany({
+    where: {
+      id: invite.id,
+      ...activeInviteWhere(),
+      ...(invite.maxUses !== null && { useCount: { lt: invite.maxUses } })
+    },
+    data: { useCount: { increment: 1 } }
+  });
+  if (count === 0) return false;
+
+  await tx.roomInviteUse.create({
+    data: { inviteId: invite.id, userId }
+  });
+  return true;
+}
+
+module.exports = {
+  INVITE_STATUS_MESSAGES,
+  activeInviteWhere,
+  getInviteStatus,
+  redeemInvite
+};
@@ -0,0 +1,31 @@
+/**
+ * Slow mode
+ * A channel's slowModeSeconds spaces out each author's messages. Enforced on
+ * every send path - the WebSocket SEND_MESSAGE handler and the REST route.
+ */
+
+const { prisma } = require('./prisma');
+const { normalizeNonce } = require('./messageNonce');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+// Milliseconds until the author may post again under the channel's slow mode (0 = now).
+// MANAGE_MESSAGES is exempt, and a retry of the author's last send (same nonce) is never held back.
+async function getSlowModeCooldown(userId, channel, nonce, permissions) {
+  if (!channel?.slowModeSeconds || hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) return 0;
+
+  const lastMessage = await prisma.message.findFirst({
+    where: { channelId: channel.id, authorId: userId, isSystem: false },
+    orderBy: { sentAt: 'desc' },
+    select: { sentAt: true, nonce: true }
+  });
+
+  if (!lastMessage) return 0;
+  if (lastMessage.nonce && lastMessage.nonce === normalizeNonce(nonce)) return 0;
+
+  const remaining = lastMessage.sentAt.getTime() + channel.slowModeSeconds * 1000 - Date.now();
+  return Math.max(remaining, 0);
+}
+
+module.exports = {
+  getSlowModeCooldown
+};
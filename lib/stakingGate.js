@@ -0,0 +1,95 @@
+/**
+ * Staking-gated rooms
+ * A room's stakingGate ({ minStaked, minL4Received, requireActive, onLapse }, {} = open) is
+ * checked against the user's StakingPositions - summed across every wallet they
+ * hold - when they join, and again by the periodic re-check in server.js.
+ * onLapse says what happens to members who stop qualifying: REMOVE takes them
+ * out of the room, DEMOTE only strips ADMIN/MODERATOR roles. Owners are exempt.
+ */
+
+const { prisma } = require('./prisma');
+
+const LAPSE_ACTIONS = ['REMOVE', 'DEMOTE'];
+
+// Clean up a gate from the client; null when it gates nothing
+function normalizeStakingGate(gate) {
+  if (!gate) return null;
+
+  const normalized = {
+    minStaked: Number(gate.minStaked) > 0 ? Number(gate.minStaked) : 0,
+    minL4Received: Number(gate.minL4Received) > 0 ? Number(gate.minL4Received) : 0,
+    requireActive: gate.requireActive === true,
+    onLapse: LAPSE_ACTIONS.includes(gate.onLapse) ? gate.onLapse : 'REMOVE'
+  };
+
+  if (!normalized.minStaked && !normalized.minL4Received && !normalized.requireActive) return null;
+  return normalized;
+}
+
+// Map of userId -> { totalStaked, totalL4Received, hasActivePosition }
+async function getStakingSummaries(userIds) {
+  const summaries = new Map(userIds.map(userId => [userId, {
+    totalStaked: 0,
+    totalL4Received: 0,
+    hasActivePosition: false
+  }]));
+  if (userIds.length === 0) return summaries;
+
+  // Positions are keyed by wallet and may predate the user record, so match on both
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds } },
+    select: { id: true, walletAddress: true }
+  });
+  const userIdByWallet = new Map(users.map(user => [user.walletAddress, user.id]));
+
+  const positions = await prisma.stakingPosition.findMany({
+    where: {
+      OR: [
+        { userId: { in: userIds } },
+        { walletAddress: { in: users.map(user => user.walletAddress) } }
+      ]
+    },
+    select: { userId: true, walletAddress: true, totalStaked: true, totalL4Received: true, isActive: true }
+  });
+
+  positions.forEach(position => {
+    const summary = summaries.get(userIdByWallet.get(position.walletAddress) || position.userId);
+    if (!summary) return;
+    summary.totalStaked += Number(position.totalStaked);
+    summary.totalL4Received += Number(position.totalL4Received);
+    summary.hasActivePosition = summary.hasActivePosition || (position.isActive && Number(position.totalStaked) > 0);
+  });
+
+  return summaries;
+}
+
+// Why a summary fails the gate, or null when it qualifies
+function getStakingGateFailure(gate, summary) {
+  if (!gate) return null;
+  if (gate.requireActive && !summary.hasActivePosition) {
+    return 'This room requires an active L4 staking position';
+  }
+  if (summary.totalStaked < gate.minStaked) {
+    return `This room requires at least ${gate.minStaked} staked (you have ${summary.totalStaked})`;
+  }
+  if (summary.totalL4Received < gate.minL4Received) {
+    return `This room requires at least ${gate.minL4Received} L4 received from staking (you have ${summary.totalL4Received})`;
+  }
+  return null;
+}
+
+async function checkStakingGate(gate, userId) {
+  const normalized = normalizeStakingGate(gate);
+  if (!normalized) return null;
+
+  const summaries = await getStakingSummaries([userId]);
+  return getStakingGateFailure(normalized, summaries.get(userId));
+}
+
+module.exports = {
+  LAPSE_ACTIONS,
+  normalizeStakingGate,
+  getStakingSummaries,
+  getStakingGateFailure,
+  checkStakingGate
+};
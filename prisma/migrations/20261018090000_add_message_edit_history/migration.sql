@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "public"."MessageEdit" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "previousContent" TEXT NOT NULL,
+    "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageEdit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageEdit_messageId_editedAt_idx" ON "public"."MessageEdit"("messageId", "editedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."MessageEdit" ADD CONSTRAINT "MessageEdit_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
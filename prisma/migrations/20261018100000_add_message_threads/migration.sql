@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "lastReplyAt" TIMESTAMP(3),
+ADD COLUMN     "lastReplyAuthorId" TEXT,
+ADD COLUMN     "replyCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."ThreadFollow" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastReadAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ThreadFollow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ThreadFollow_userId_idx" ON "public"."ThreadFollow"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ThreadFollow_messageId_userId_key" ON "public"."ThreadFollow"("messageId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ThreadFollow" ADD CONSTRAINT "ThreadFollow_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ThreadFollow" ADD CONSTRAINT "ThreadFollow_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill reply counters for existing threads
+UPDATE "public"."Message" AS parent
+SET "replyCount" = stats."replyCount",
+    "lastReplyAt" = stats."lastReplyAt"
+FROM (
+    SELECT "repliedToMessageId", COUNT(*)::INTEGER AS "replyCount", MAX("sentAt") AS "lastReplyAt"
+    FROM "public"."Message"
+    WHERE "repliedToMessageId" IS NOT NULL AND "deletedAt" IS NULL
+    GROUP BY "repliedToMessageId"
+) AS stats
+WHERE parent."id" = stats."repliedToMessageId";
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "public"."PinnedMessage" (
+    "id" TEXT NOT NULL,
+    "channelId" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "pinnedBy" TEXT NOT NULL,
+    "pinnedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PinnedMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PinnedMessage_messageId_key" ON "public"."PinnedMessage"("messageId");
+
+-- CreateIndex
+CREATE INDEX "PinnedMessage_channelId_pinnedAt_idx" ON "public"."PinnedMessage"("channelId", "pinnedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."PinnedMessage" ADD CONSTRAINT "PinnedMessage_channelId_fkey" FOREIGN KEY ("channelId") REFERENCES "public"."Channel"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PinnedMessage" ADD CONSTRAINT "PinnedMessage_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "public"."Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PinnedMessage" ADD CONSTRAINT "PinnedMessage_pinnedBy_fkey" FOREIGN KEY ("pinnedBy") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "mentionedUserIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "mentionsEveryone" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "Message_mentionedUserIds_idx" ON "public"."Message" USING GIN ("mentionedUserIds");
@@ -0,0 +1,6 @@
+-- AlterTable
+-- Generated column keeps the search vector in sync with content without application writes
+ALTER TABLE "public"."Message" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (to_tsvector('simple', coalesce("content", ''))) STORED;
+
+-- CreateIndex
+CREATE INDEX "Message_searchVector_idx" ON "public"."Message" USING GIN ("searchVector");
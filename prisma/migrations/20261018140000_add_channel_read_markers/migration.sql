@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "public"."ChannelMember" ADD COLUMN     "lastReadAt" TIMESTAMP(3),
+ADD COLUMN     "lastReadMessageId" TEXT;
+
+-- Seed markers from the newest existing read receipt per member
+UPDATE "public"."ChannelMember" AS cm
+SET "lastReadMessageId" = latest."messageId",
+    "lastReadAt" = latest."sentAt"
+FROM (
+    SELECT DISTINCT ON (m."channelId", rr."userId") m."channelId", rr."userId", rr."messageId", m."sentAt"
+    FROM "public"."ReadReceipt" rr
+    INNER JOIN "public"."Message" m ON m."id" = rr."messageId"
+    ORDER BY m."channelId", rr."userId", m."sentAt" DESC
+) AS latest
+WHERE cm."channelId" = latest."channelId" AND cm."userId" = latest."userId";
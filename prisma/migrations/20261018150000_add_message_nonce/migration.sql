@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "nonce" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Message_authorId_nonce_key" ON "public"."Message"("authorId", "nonce");
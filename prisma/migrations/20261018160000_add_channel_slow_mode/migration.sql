@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Channel" ADD COLUMN     "slowModeSeconds" INTEGER NOT NULL DEFAULT 0;
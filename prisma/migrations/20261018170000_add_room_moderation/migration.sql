@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."RoomMember" ADD COLUMN     "timeoutUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."RoomBan" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "bannedBy" TEXT NOT NULL,
+    "reason" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomBan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RoomBan_userId_idx" ON "public"."RoomBan"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RoomBan_roomId_userId_key" ON "public"."RoomBan"("roomId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomBan" ADD CONSTRAINT "RoomBan_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "public"."Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomBan" ADD CONSTRAINT "RoomBan_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomBan" ADD CONSTRAINT "RoomBan_bannedBy_fkey" FOREIGN KEY ("bannedBy") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Channel" ADD COLUMN     "permissionOverrides" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "public"."Room" ADD COLUMN     "permissionOverrides" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."RoomAuditLog" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "targetUserId" TEXT,
+    "targetId" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RoomAuditLog_roomId_createdAt_idx" ON "public"."RoomAuditLog"("roomId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RoomAuditLog_roomId_action_createdAt_idx" ON "public"."RoomAuditLog"("roomId", "action", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomAuditLog" ADD CONSTRAINT "RoomAuditLog_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "public"."Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomAuditLog" ADD CONSTRAINT "RoomAuditLog_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomAuditLog" ADD CONSTRAINT "RoomAuditLog_targetUserId_fkey" FOREIGN KEY ("targetUserId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "public"."RoomInviteUse" (
+    "id" TEXT NOT NULL,
+    "inviteId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomInviteUse_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."RoomInvite" ADD COLUMN     "maxUses" INTEGER,
+ADD COLUMN     "revokedAt" TIMESTAMP(3),
+ADD COLUMN     "useCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Existing invites stay single-use; carry their redemption over to the join log
+UPDATE "public"."RoomInvite" SET "maxUses" = 1, "useCount" = CASE WHEN "isUsed" THEN 1 ELSE 0 END;
+
+INSERT INTO "public"."RoomInviteUse" ("id", "inviteId", "userId", "usedAt")
+SELECT "id", "id", "usedBy", COALESCE("usedAt", "createdAt")
+FROM "public"."RoomInvite"
+WHERE "isUsed" = true AND "usedBy" IS NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "public"."RoomInvite" DROP CONSTRAINT "RoomInvite_usedBy_fkey";
+
+-- DropIndex
+DROP INDEX "public"."RoomInvite_isUsed_idx";
+
+-- AlterTable
+ALTER TABLE "public"."RoomInvite" DROP COLUMN "isUsed",
+DROP COLUMN "usedAt",
+DROP COLUMN "usedBy";
+
+-- CreateIndex
+CREATE INDEX "RoomInviteUse_inviteId_idx" ON "public"."RoomInviteUse"("inviteId");
+
+-- CreateIndex
+CREATE INDEX "RoomInviteUse_userId_idx" ON "public"."RoomInviteUse"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomInviteUse" ADD CONSTRAINT "RoomInviteUse_inviteId_fkey" FOREIGN KEY ("inviteId") REFERENCES "public"."RoomInvite"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomInviteUse" ADD CONSTRAINT "RoomInviteUse_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
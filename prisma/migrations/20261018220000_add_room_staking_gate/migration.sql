@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Room" ADD COLUMN     "stakingGate" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,29 @@
+-- DropIndex
+DROP INDEX "public"."Channel_roomId_key";
+
+-- AlterTable
+ALTER TABLE "public"."Channel" ADD COLUMN     "categoryId" TEXT,
+ADD COLUMN     "position" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."RoomChannelCategory" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RoomChannelCategory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RoomChannelCategory_roomId_position_idx" ON "public"."RoomChannelCategory"("roomId", "position");
+
+-- CreateIndex
+CREATE INDEX "Channel_roomId_position_idx" ON "public"."Channel"("roomId", "position");
+
+-- AddForeignKey
+ALTER TABLE "public"."Channel" ADD CONSTRAINT "Channel_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "public"."RoomChannelCategory"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RoomChannelCategory" ADD CONSTRAINT "RoomChannelCategory_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "public"."Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
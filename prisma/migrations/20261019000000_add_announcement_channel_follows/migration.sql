@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "mirroredFromId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ChannelFollow" (
+    "id" TEXT NOT NULL,
+    "sourceChannelId" TEXT NOT NULL,
+    "targetChannelId" TEXT NOT NULL,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChannelFollow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChannelFollow_targetChannelId_idx" ON "public"."ChannelFollow"("targetChannelId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChannelFollow_sourceChannelId_targetChannelId_key" ON "public"."ChannelFollow"("sourceChannelId", "targetChannelId");
+
+-- CreateIndex
+CREATE INDEX "Message_mirroredFromId_idx" ON "public"."Message"("mirroredFromId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ChannelFollow" ADD CONSTRAINT "ChannelFollow_sourceChannelId_fkey" FOREIGN KEY ("sourceChannelId") REFERENCES "public"."Channel"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ChannelFollow" ADD CONSTRAINT "ChannelFollow_targetChannelId_fkey" FOREIGN KEY ("targetChannelId") REFERENCES "public"."Channel"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ChannelFollow" ADD CONSTRAINT "ChannelFollow_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Message" ADD CONSTRAINT "Message_mirroredFromId_fkey" FOREIGN KEY ("mirroredFromId") REFERENCES "public"."Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
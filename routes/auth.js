@@ -7,6 +7,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { prisma } = require('../lib/prisma');
+const { rateLimit } = require('../lib/rateLimiter');
 
 // Configure multer for avatar uploads
 const avatarStorage = multer.diskStorage({
@@ -58,7 +59,7 @@ function randomHex(bytes = 32) {
   return crypto.randomBytes(bytes).toString('hex');
 }
 
-router.post('/nonce', async (req, res) => {
+router.post('/nonce', rateLimit('AUTH_NONCE'), async (req, res) => {
   const { walletAddress } = req.body || {};
   if (!walletAddress) return res.status(400).json({ error: 'walletAddress required' });
   const nonce = randomHex(16);
@@ -4,6 +4,15 @@ const path = require('path');
 const fs = require('fs');
 const router = express.Router();
 const { prisma } = require('../lib/prisma');
+const { parseSearchFilters, searchMessages } = require('../lib/messageSearch');
+const { createMessageOnce } = require('../lib/messageNonce');
+const { ERROR_CODES, EventError } = require('../lib/eventErrors');
+const { consume, sendRateLimited } = require('../lib/rateLimiter');
+const { PERMISSIONS, hasPermission, resolveChannelPermissions } = require('../lib/permissions');
+const { ROOM_CHANNEL_TYPES } = require('../lib/roomChannels');
+const { isAnnouncementChannel, canPostInChannel, mirrorAnnouncement } = require('../lib/announcements');
+const { ROOM_CHANNEL_ACCESS_SELECT, getRoomChannelAccessFailure } = require('../lib/roomAccess');
+const { getSlowModeCooldown } = require('../lib/slowMode');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -162,7 +171,7 @@ router.get('/channels', async (req, res) => {
       // Continue even if this fails - don't break the entire request
     }
 
-    // Return channels where user is a member OR public text-group channels
+    // Return channels where user is a member OR public room channels
     const channels = await prisma.channel.findMany({
       where: {
         OR: [
@@ -176,7 +185,7 @@ router.get('/channels', async (req, res) => {
           },
           // Public channels (rooms) - visible to everyone
           {
-            type: 'text-group',
+            type: { in: ROOM_CHANNEL_TYPES },
             isPrivate: false
           }
         ]
@@ -413,7 +422,7 @@ router.post('/channels/:id/messages', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { content, replyToId } = req.body;
+    const { content, replyToId, nonce } = req.body;
 
     // Check if user is member of channel
     const membership = await prisma.channelMember.findUnique({
@@ -433,29 +442,75 @@ router.post('/channels/:id/messages', async (req, res) => {
       });
       return res.status(403).json({ error: 'Access denied: You are not a member of this channel' });
     }
+
+    const [channel, permissions] = await Promise.all([
+      prisma.channel.findUnique({
+        where: { id },
+        select: { ...ROOM_CHANNEL_ACCESS_SELECT, type: true, slowModeSeconds: true }
+      }),
+      resolveChannelPermissions(session.userId, id)
+    ]);
+
+    // Timed-out members keep their channel membership, so check the room here too
+    const accessFailure = await getRoomChannelAccessFailure(session.userId, channel, { posting: true });
+    if (accessFailure) {
+      return res.status(403).json({ error: accessFailure.message, code: accessFailure.code, ...accessFailure.extra });
+    }
+
+    if (!hasPermission(permissions, PERMISSIONS.SEND_MESSAGES)) {
+      return res.status(403).json({ error: 'You do not have permission to send messages in this channel' });
+    }
+
+    if (!canPostInChannel(channel, permissions)) {
+      return res.status(403).json({ error: 'Only staff can post in announcement channels' });
+    }
+
+    const cooldownMs = await getSlowModeCooldown(session.userId, channel, nonce, permissions);
+    if (cooldownMs > 0) {
+      res.set('Retry-After', String(Math.ceil(cooldownMs / 1000)));
+      return res.status(429).json({
+        error: 'Slow mode is enabled in this channel',
+        code: 'RATE_LIMITED',
+        retryAfterMs: cooldownMs,
+        slowModeSeconds: channel.slowModeSeconds
+      });
+    }
+
+    // Shares the SEND_MESSAGE budget with the WebSocket event
+    const limit = await consume('SEND_MESSAGE', { userId: session.userId });
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit);
+    }
     
-    const message = await prisma.message.create({
-      data: {
-        content,
-        channelId: id,
-        authorId: session.userId,
-        isSystem: false,
-        replyToId
-      },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            displayName: true,
-            avatarUrl: true
-          }
+    // Retries with the same nonce get the stored message back instead of a duplicate
+    const { message, duplicate } = await createMessageOnce({
+      content,
+      channelId: id,
+      authorId: session.userId,
+      isSystem: false,
+      replyToId,
+      nonce
+    }, {
+      author: {
+        select: {
+          id: true,
+          username: true,
+          displayName: true,
+          avatarUrl: true
         }
       }
     });
     
-    res.status(201).json({ message });
+    if (!duplicate && isAnnouncementChannel(channel)) {
+      await mirrorAnnouncement(message);
+    }
+
+    res.status(duplicate ? 200 : 201).json({ message, duplicate });
   } catch (error) {
+    // Nonce already spent on a message in another channel
+    if (error instanceof EventError && error.code === ERROR_CODES.CONFLICT) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
     console.error('Error sending message:', error);
     res.status(500).json({ error: 'Failed to send message' });
   }
@@ -901,6 +956,42 @@ router.put('/messages/:id/reactions', async (req, res) => {
   }
 });
 
+// Search messages in channels the current user belongs to
+router.get('/search-messages', async (req, res) => {
+  try {
+    // Get current user from session - try cookies first, then Authorization header
+    let token = req.cookies?.l4_session;
+    
+    if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+      token = req.headers.authorization.substring(7);
+    }
+    
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await prisma.session.findUnique({ 
+      where: { token }, 
+      include: { user: true } 
+    });
+    
+    if (!session || session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const { error, filters } = parseSearchFilters(req.query, session.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const results = await searchMessages(session.userId, filters);
+    res.json({ query: filters.query, ...results });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
 // Search users
 router.get('/search-users', async (req, res) => {
   try {
@@ -4,7 +4,6 @@ require('dotenv').config({ path: '.env.local' });
 const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const { WebSocketServer } = require('ws');
 const { createServer } = require('http');
 const msgpack = require('msgpack-lite');
 // Next.js removed - pure backend API and WebSocket server
@@ -14,6 +13,41 @@ const redis = require('./lib/redis');
 const performanceMonitor = require('./scripts/performance-monitor');
 const crypto = require('crypto');
 const debug = require('./lib/debug');
+const { parseMentions, resolveMentions } = require('./lib/mentions');
+const { parseSearchFilters, searchMessages } = require('./lib/messageSearch');
+const { createMessageOnce } = require('./lib/messageNonce');
+const {
+  PERMISSIONS,
+  OVERRIDABLE_ROLES,
+  hasPermission,
+  getUserPermissions,
+  computeRoomPermissions,
+  resolveRoomPermissions,
+  resolveChannelPermissions
+} = require('./lib/permissions');
+const { AUDIT_ACTIONS, recordRoomAudit, fetchRoomAuditLog } = require('./lib/roomAudit');
+const { INVITE_STATUS_MESSAGES, activeInviteWhere, getInviteStatus, redeemInvite } = require('./lib/roomInvites');
+const { normalizeStakingGate, getStakingSummaries, getStakingGateFailure, checkStakingGate } = require('./lib/stakingGate');
+const {
+  ROOM_CHANNEL_TYPES,
+  MAX_ROOM_CHANNELS,
+  MAX_ROOM_CATEGORIES,
+  POSITION_ORDER,
+  buildRoomChannelTrees,
+  getRoomChannelTree,
+  getNextPosition
+} = require('./lib/roomChannels');
+const { isAnnouncementChannel, canPostInChannel, mirrorAnnouncement, findMirrors } = require('./lib/announcements');
+const { ROOM_CHANNEL_ACCESS_SELECT, getActiveRoomBan, getRoomChannelAccessFailure } = require('./lib/roomAccess');
+const { getSlowModeCooldown } = require('./lib/slowMode');
+const rateLimiter = require('./lib/rateLimiter');
+const eventStream = require('./lib/eventStream');
+const eventBus = require('./lib/eventBus');
+const websocketConfig = require('./config/websocket');
+const ServerGateway = require('./lib/gatewayIntegration');
+const { encodeFrame } = require('./lib/gateway');
+const { ERROR_CODES, EventError } = require('./lib/eventErrors');
+const { EVENT_SCHEMAS } = require('./lib/eventSchemas');
 
 // AGGRESSIVE CACHE CLEARING - Clear ALL channel caches
 async function clearAllChannelCaches(reason = 'unknown') {
@@ -38,7 +72,7 @@ async function validateCacheVsDatabase(userId) {
       where: {
         OR: [
           { members: { some: { userId } } },
-          { type: 'text-group', isPrivate: false }
+          { type: { in: ROOM_CHANNEL_TYPES }, isPrivate: false, NOT: { room: { is: { isActive: false } } } }
         ]
       },
       select: {
@@ -156,14 +190,65 @@ const memoryStore = {
   userPresence: new Map()
 };
 
-// Use memory store for connections
+// Use memory store for connections - userId -> Set of this instance's sockets, in connect order
 const connections = memoryStore.connections;
 
+// Register a socket, evicting the user's oldest sockets beyond maxConnectionsPerUser
+function addConnection(userId, ws) {
+  let sockets = connections.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    connections.set(userId, sockets);
+  }
+  sockets.add(ws);
+
+  const evicted = [];
+  const limit = websocketConfig.performance.maxConnectionsPerUser;
+  for (const socket of sockets) {
+    if (sockets.size <= limit) break;
+    sockets.delete(socket);
+    evicted.push(socket);
+  }
+  return evicted;
+}
+
+// Returns true when this was the user's last socket
+function removeConnection(userId, ws) {
+  const sockets = connections.get(userId);
+  if (!sockets || !sockets.delete(ws)) return false;
+
+  if (sockets.size === 0) {
+    connections.delete(userId);
+    return true;
+  }
+  return false;
+}
+
+function getOpenSockets(userId) {
+  const sockets = connections.get(userId);
+  return sockets ? [...sockets].filter(socket => socket.readyState === 1) : [];
+}
+
+function countSockets() {
+  let total = 0;
+  connections.forEach(sockets => { total += sockets.size; });
+  return total;
+}
+
 // Event types
 const CLIENT_EVENTS = {
   SEND_MESSAGE: 'SEND_MESSAGE',
   EDIT_MESSAGE: 'EDIT_MESSAGE',
   DELETE_MESSAGE: 'DELETE_MESSAGE',
+  FETCH_MESSAGE_EDITS: 'FETCH_MESSAGE_EDITS',
+  FETCH_THREAD: 'FETCH_THREAD',
+  FOLLOW_THREAD: 'FOLLOW_THREAD',
+  UNFOLLOW_THREAD: 'UNFOLLOW_THREAD',
+  FETCH_FOLLOWED_THREADS: 'FETCH_FOLLOWED_THREADS',
+  PIN_MESSAGE: 'PIN_MESSAGE',
+  UNPIN_MESSAGE: 'UNPIN_MESSAGE',
+  FETCH_PINS: 'FETCH_PINS',
+  SEARCH_MESSAGES: 'SEARCH_MESSAGES',
   ADD_REACTION: 'ADD_REACTION',
   REMOVE_REACTION: 'REMOVE_REACTION',
   START_TYPING: 'START_TYPING',
@@ -174,6 +259,9 @@ const CLIENT_EVENTS = {
   LEAVE_CHANNEL: 'LEAVE_CHANNEL',
   UPLOAD_MEDIA: 'UPLOAD_MEDIA',
   MARK_AS_READ: 'MARK_AS_READ',
+  MARK_CHANNEL_READ: 'MARK_CHANNEL_READ',
+  SET_SLOW_MODE: 'SET_SLOW_MODE',
+  RESUME: 'RESUME',
   PING: 'PING',
   // Authentication operations
   AUTH_ME: 'AUTH_ME',
@@ -202,13 +290,51 @@ const CLIENT_EVENTS = {
   CREATE_ROOM_INVITE: 'CREATE_ROOM_INVITE',
   USE_ROOM_INVITE: 'USE_ROOM_INVITE',
   GET_USER_ROOMS: 'GET_USER_ROOMS',
-  SEARCH_ROOMS: 'SEARCH_ROOMS'
+  SEARCH_ROOMS: 'SEARCH_ROOMS',
+  // Room moderation
+  KICK_MEMBER: 'KICK_MEMBER',
+  BAN_MEMBER: 'BAN_MEMBER',
+  TIMEOUT_MEMBER: 'TIMEOUT_MEMBER',
+  UNBAN_MEMBER: 'UNBAN_MEMBER',
+  SET_MEMBER_ROLE: 'SET_MEMBER_ROLE',
+  TRANSFER_ROOM_OWNERSHIP: 'TRANSFER_ROOM_OWNERSHIP',
+  SET_PERMISSION_OVERRIDES: 'SET_PERMISSION_OVERRIDES',
+  FETCH_ROOM_AUDIT_LOG: 'FETCH_ROOM_AUDIT_LOG',
+  UPDATE_ROOM: 'UPDATE_ROOM',
+  ARCHIVE_ROOM: 'ARCHIVE_ROOM',
+  DELETE_ROOM: 'DELETE_ROOM',
+  LIST_ROOM_INVITES: 'LIST_ROOM_INVITES',
+  REVOKE_ROOM_INVITE: 'REVOKE_ROOM_INVITE',
+  REQUEST_TO_JOIN_ROOM: 'REQUEST_TO_JOIN_ROOM',
+  FETCH_ROOM_JOIN_REQUESTS: 'FETCH_ROOM_JOIN_REQUESTS',
+  APPROVE_JOIN_REQUEST: 'APPROVE_JOIN_REQUEST',
+  DENY_JOIN_REQUEST: 'DENY_JOIN_REQUEST',
+  SET_STAKING_GATE: 'SET_STAKING_GATE',
+  CREATE_CHANNEL: 'CREATE_CHANNEL',
+  UPDATE_CHANNEL: 'UPDATE_CHANNEL',
+  DELETE_CHANNEL: 'DELETE_CHANNEL',
+  REORDER_CHANNELS: 'REORDER_CHANNELS',
+  CREATE_CHANNEL_CATEGORY: 'CREATE_CHANNEL_CATEGORY',
+  UPDATE_CHANNEL_CATEGORY: 'UPDATE_CHANNEL_CATEGORY',
+  DELETE_CHANNEL_CATEGORY: 'DELETE_CHANNEL_CATEGORY',
+  FOLLOW_CHANNEL: 'FOLLOW_CHANNEL',
+  UNFOLLOW_CHANNEL: 'UNFOLLOW_CHANNEL',
+  FETCH_CHANNEL_FOLLOWS: 'FETCH_CHANNEL_FOLLOWS'
 };
 
 const SERVER_EVENTS = {
   MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
   MESSAGE_EDITED: 'MESSAGE_EDITED',
   MESSAGE_DELETED: 'MESSAGE_DELETED',
+  MESSAGE_EDITS_LOADED: 'MESSAGE_EDITS_LOADED',
+  THREAD_LOADED: 'THREAD_LOADED',
+  THREAD_UPDATED: 'THREAD_UPDATED',
+  THREAD_FOLLOW_UPDATED: 'THREAD_FOLLOW_UPDATED',
+  FOLLOWED_THREADS_LOADED: 'FOLLOWED_THREADS_LOADED',
+  MESSAGE_PINNED: 'MESSAGE_PINNED',
+  MESSAGE_UNPINNED: 'MESSAGE_UNPINNED',
+  PINS_LOADED: 'PINS_LOADED',
+  MESSAGES_SEARCH_RESPONSE: 'MESSAGES_SEARCH_RESPONSE',
   REACTION_ADDED: 'REACTION_ADDED',
   REACTION_REMOVED: 'REACTION_REMOVED',
   TYPING_STARTED: 'TYPING_STARTED',
@@ -217,12 +343,18 @@ const SERVER_EVENTS = {
   USER_LEFT: 'USER_LEFT',
   USER_STATUS_CHANGED: 'USER_STATUS_CHANGED',
   READ_RECEIPT_UPDATED: 'READ_RECEIPT_UPDATED',
+  CHANNEL_READ: 'CHANNEL_READ',
+  SLOW_MODE_UPDATED: 'SLOW_MODE_UPDATED',
+  MESSAGE_ACK: 'MESSAGE_ACK', // SEND_MESSAGE persisted - echoes the request ID
   MEDIA_UPLOADED: 'MEDIA_UPLOADED',
   MESSAGES_LOADED: 'MESSAGES_LOADED',
   CHANNELS_LOADED: 'CHANNELS_LOADED',
   CHANNEL_CREATED: 'CHANNEL_CREATED',
   NEW_DM_INVITE: 'NEW_DM_INVITE',
   PONG: 'PONG',
+  STREAM_STARTED: 'STREAM_STARTED',
+  RESUMED: 'RESUMED',
+  RESYNC_REQUIRED: 'RESYNC_REQUIRED',
   ERROR: 'ERROR', // ← Added ERROR event type
   // Authentication responses
   AUTH_ME_RESPONSE: 'AUTH_ME_RESPONSE',
@@ -252,11 +384,108 @@ const SERVER_EVENTS = {
   ROOM_INFO_RESPONSE: 'ROOM_INFO_RESPONSE',
   ROOM_INVITE_CREATED: 'ROOM_INVITE_CREATED',
   ROOM_INVITE_USED: 'ROOM_INVITE_USED',
+  ROOM_INVITES_LOADED: 'ROOM_INVITES_LOADED',
+  ROOM_INVITE_REVOKED: 'ROOM_INVITE_REVOKED',
+  ROOM_JOIN_REQUEST_CREATED: 'ROOM_JOIN_REQUEST_CREATED',
+  ROOM_JOIN_REQUESTS_LOADED: 'ROOM_JOIN_REQUESTS_LOADED',
+  ROOM_JOIN_REQUEST_UPDATED: 'ROOM_JOIN_REQUEST_UPDATED',
   USER_ROOMS_RESPONSE: 'USER_ROOMS_RESPONSE',
   ROOMS_SEARCH_RESPONSE: 'ROOMS_SEARCH_RESPONSE',
+  ROOM_MEMBER_UPDATED: 'ROOM_MEMBER_UPDATED',
+  ROOM_PERMISSIONS_UPDATED: 'ROOM_PERMISSIONS_UPDATED',
+  ROOM_AUDIT_LOG_LOADED: 'ROOM_AUDIT_LOG_LOADED',
+  ROOM_UPDATED: 'ROOM_UPDATED',
+  ROOM_DELETED: 'ROOM_DELETED',
+  ROOM_CHANNEL_CREATED: 'ROOM_CHANNEL_CREATED',
+  ROOM_CHANNEL_UPDATED: 'ROOM_CHANNEL_UPDATED',
+  ROOM_CHANNEL_DELETED: 'ROOM_CHANNEL_DELETED',
+  ROOM_CHANNEL_LAYOUT_UPDATED: 'ROOM_CHANNEL_LAYOUT_UPDATED', // reorders and category changes
+  CHANNEL_FOLLOWED: 'CHANNEL_FOLLOWED',
+  CHANNEL_UNFOLLOWED: 'CHANNEL_UNFOLLOWED',
+  CHANNEL_FOLLOWS_LOADED: 'CHANNEL_FOLLOWS_LOADED',
   ROOM_ERROR: 'ROOM_ERROR'
 };
 
+const MAX_PINS_PER_CHANNEL = 50;
+
+// Room role hierarchy - moderators can only act on members ranked strictly below them
+const ROOM_ROLE_RANK = { MEMBER: 0, MODERATOR: 1, ADMIN: 2, OWNER: 3 };
+
+// Shared message shape for MESSAGES_LOADED, threads and other message lists
+const MESSAGE_SELECT = {
+  id: true,
+  content: true,
+  type: true,
+  sentAt: true,
+  editedAt: true,
+  deletedAt: true,
+  authorId: true,
+  channelId: true,
+  repliedToMessageId: true,
+  replyCount: true,
+  lastReplyAt: true,
+  lastReplyAuthorId: true,
+  mentionedUserIds: true,
+  mentionsEveryone: true,
+  attachments: true,
+  isSystem: true,
+  author: {
+    select: {
+      id: true,
+      username: true,
+      displayName: true,
+      avatarUrl: true,
+      walletAddress: true,
+      role: true,
+      isVerified: true,
+      bio: true,
+      twitterHandle: true,
+      discordHandle: true,
+      twitchHandle: true,
+      spotifyHandle: true,
+      status: true
+    }
+  },
+  reactions: {
+    select: {
+      id: true,
+      emoji: true,
+      userId: true,
+      user: {
+        select: {
+          id: true,
+          username: true,
+          role: true
+        }
+      }
+    }
+  },
+  repliedToMessage: {
+    select: {
+      id: true,
+      content: true,
+      authorId: true,
+      deletedAt: true,
+      author: {
+        select: {
+          id: true,
+          username: true,
+          displayName: true,
+          walletAddress: true,
+          role: true,
+          isVerified: true,
+          bio: true,
+          twitterHandle: true,
+          discordHandle: true,
+          twitchHandle: true,
+          spotifyHandle: true,
+          status: true
+        }
+      }
+    }
+  }
+};
+
 // Helper functions
 function determineMessageType(content, attachments = []) {
   // Check if there are any GIF attachments
@@ -288,9 +517,101 @@ function determineMessageType(content, attachments = []) {
   return 1; // Text
 }
 
+// Ephemeral events are not worth replaying after a reconnect
+const UNSEQUENCED_EVENTS = new Set([
+  SERVER_EVENTS.TYPING_STARTED,
+  SERVER_EVENTS.TYPING_STOPPED
+]);
+
+// Send to this instance's sockets for the user
+function deliverLocally(userId, event, payload, sentAt, seq = null) {
+  const sockets = getOpenSockets(userId);
+  if (sockets.length === 0) return false;
+
+  const frame = msgpack.encode(seq ? [event, payload, sentAt, seq] : [event, payload, sentAt]);
+  let delivered = false;
+  sockets.forEach(ws => {
+    try {
+      ws.send(frame);
+      delivered = true;
+    } catch (error) {
+      console.log(`⚠️ [SERVER] Error sending to user ${userId}:`, error.message);
+    }
+  });
+  return delivered;
+}
+
+// Push an event into each user's stream - sequenced and buffered for RESUME, delivered
+// here and published so other instances deliver it to the sockets they hold
+async function publishToUsers(userIds, event, payload) {
+  let seqs = {};
+  if (!UNSEQUENCED_EVENTS.has(event)) {
+    try {
+      seqs = await eventStream.recordEvents(userIds, event, payload);
+    } catch (error) {
+      console.error('❌ [SERVER] Error recording event for replay:', error);
+    }
+  }
+
+  const sentAt = Date.now();
+  let deliveredCount = 0;
+  userIds.forEach(userId => {
+    if (deliverLocally(userId, event, payload, sentAt, seqs[userId])) deliveredCount++;
+  });
+
+  await eventBus.publish('user_event', {
+    targets: userIds.map(userId => [userId, seqs[userId] || null]),
+    event,
+    payload,
+    sentAt
+  });
+
+  return deliveredCount;
+}
+
+// Presence across instances - userId -> Set of other instance ids holding sockets for them
+function isUserOnline(userId) {
+  return connections.has(userId) || (memoryStore.userPresence.get(userId)?.size || 0) > 0;
+}
+
+function setRemotePresence(userId, instanceId, online) {
+  let instances = memoryStore.userPresence.get(userId);
+  if (online) {
+    if (!instances) {
+      instances = new Set();
+      memoryStore.userPresence.set(userId, instances);
+    }
+    instances.add(instanceId);
+  } else if (instances) {
+    instances.delete(instanceId);
+    if (instances.size === 0) memoryStore.userPresence.delete(userId);
+  }
+}
+
+eventBus.onMessage(message => {
+  switch (message.type) {
+    case 'user_event':
+      message.targets.forEach(([userId, seq]) => {
+        deliverLocally(userId, message.event, message.payload, message.sentAt, seq);
+      });
+      break;
+
+    case 'presence':
+      setRemotePresence(message.userId, message.origin, message.status === 'online');
+      break;
+
+    case 'presence_sync':
+      // A new instance came up - tell it who is connected here
+      eventBus.publish('presence_snapshot', { userIds: [...connections.keys()] });
+      break;
+
+    case 'presence_snapshot':
+      message.userIds.forEach(userId => setRemotePresence(userId, message.origin, true));
+      break;
+  }
+});
+
 async function broadcastToChannel(channelId, event, payload, excludeUserId = null) {
-  const message = msgpack.encode([event, payload, Date.now()]);
-  
   try {
     // Only invalidate channel cache on user join/leave events
     // Messages are real-time and don't need cache invalidation
@@ -308,23 +629,12 @@ async function broadcastToChannel(channelId, event, payload, excludeUserId = nul
       select: { userId: true }
     });
     
-    let sentCount = 0;
+    const recipients = members
+      .map(member => member.userId)
+      .filter(memberId => memberId !== excludeUserId);
     
-    members.forEach(member => {
-      if (member.userId !== excludeUserId) {
-        const ws = connections.get(member.userId);
-        if (ws && ws.readyState === 1) {
-          try {
-            ws.send(message);
-            sentCount++;
-          } catch (error) {
-            console.log(`⚠️ [SERVER] Error sending to user ${member.userId}:`, error.message);
-          }
-        } else {
-          console.log(`⚠️ [SERVER] User ${member.userId} not connected (readyState: ${ws?.readyState})`);
-        }
-      }
-    });
+    // sentCount covers this instance only; other instances deliver via the event bus
+    const sentCount = await publishToUsers(recipients, event, payload);
     
     console.log(`✅ [SERVER] Broadcast complete:`, {
       sentTo: sentCount,
@@ -338,6 +648,78 @@ async function broadcastToChannel(channelId, event, payload, excludeUserId = nul
   }
 }
 
+async function sendToUser(userId, event, payload) {
+  return (await publishToUsers([userId], event, payload)) > 0;
+}
+
+// Everyone subscribed to any of a room's channels, once each
+async function broadcastToRoom(roomId, event, payload, excludeUserId = null) {
+  const members = await prisma.channelMember.findMany({
+    where: { channel: { roomId } },
+    select: { userId: true },
+    distinct: ['userId']
+  });
+
+  const recipients = members
+    .map(member => member.userId)
+    .filter(memberId => memberId !== excludeUserId);
+
+  return publishToUsers(recipients, event, payload);
+}
+
+// Coded error frames - `event` echoes the client event being handled (set by the gateway)
+function sendError(ws, code, message, extra = {}, errorEvent = SERVER_EVENTS.ERROR) {
+  ws.send(encodeFrame(errorEvent, { code, message, event: ws.event || null, ...extra }, ws.requestId));
+}
+
+// JSON frames for the auth client - `requestId` echoes the request being answered
+function sendJson(ws, message) {
+  ws.send(JSON.stringify(ws.requestId ? { ...message, requestId: ws.requestId } : message));
+}
+
+function sendRoomError(ws, code, message, extra = {}) {
+  sendError(ws, code, message, extra, SERVER_EVENTS.ROOM_ERROR);
+}
+
+// Room members are subscribed to every channel in the room - `db` may be a transaction client
+async function addToRoomChannels(db, roomId, userId) {
+  const channels = await db.channel.findMany({
+    where: { roomId },
+    select: { id: true }
+  });
+
+  return db.channelMember.createMany({
+    data: channels.map(channel => ({ channelId: channel.id, userId })),
+    skipDuplicates: true
+  });
+}
+
+function removeFromRoomChannels(db, roomId, userId) {
+  return db.channelMember.deleteMany({
+    where: { userId, channel: { roomId } }
+  });
+}
+
+// Deleted messages are returned as tombstones so clients keep thread positions
+function toMessageTombstone(message) {
+  if (!message?.deletedAt) return message;
+  return {
+    ...message,
+    content: '',
+    attachments: [],
+    ...(message.reactions && { reactions: [] })
+  };
+}
+
+// A MESSAGE_SELECT row with both the message and the message it replies to tombstoned
+function toMessageView(message) {
+  if (!message) return message;
+  return {
+    ...toMessageTombstone(message),
+    ...(message.repliedToMessage && { repliedToMessage: toMessageTombstone(message.repliedToMessage) })
+  };
+}
+
 async function updateUserPresence(userId, status) {
   try {
     if (!userId) {
@@ -357,6 +739,23 @@ async function updateUserPresence(userId, status) {
   }
 }
 
+// Session user for REST requests - l4_session cookie first, then Authorization header
+async function getSessionUser(req) {
+  let token = req.cookies?.l4_session;
+  if (!token && req.headers.authorization?.startsWith('Bearer ')) {
+    token = req.headers.authorization.substring(7);
+  }
+  if (!token) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { token },
+    include: { user: true }
+  });
+
+  if (!session || session.expiresAt < new Date()) return null;
+  return session.user;
+}
+
 // Initialize server based on environment
 // 🚀 START WEBSOCKET SERVER AFTER DATABASE CONNECTION
 console.log('🚀 [SERVER] Starting server initialization...');
@@ -370,6 +769,9 @@ async function initializeServer() {
     process.exit(1);
   }
   
+  await eventBus.start();
+  eventBus.publish('presence_sync', {});
+
   console.log('🚀 [SERVER] Starting WebSocket server...');
   startServer();
 }
@@ -381,6 +783,9 @@ function startServer() {
   // Express app setup
   const app = express();
 
+  // req.ip is the client behind the load balancer, not the balancer - rate limits key on it
+  app.set('trust proxy', websocketConfig.proxy.trust);
+
   // Middleware
   const allowedOrigins = [
     "http://localhost:3000",
@@ -448,7 +853,8 @@ function startServer() {
     res.json({
       status: 'ok',
       websocket: {
-        connections: connections.size,
+        connections: countSockets(),
+        users: connections.size,
         timestamp: new Date().toISOString()
       }
     });
@@ -528,6 +934,26 @@ function startServer() {
     }
   });
 
+  // Gateway transport metrics (admins only)
+  app.get('/api/admin/gateway-metrics', async (req, res) => {
+    try {
+      const user = await getSessionUser(req);
+      if (!user || user.role !== 0) {
+        return res.status(403).json({ success: false, error: 'Admin access required' });
+      }
+
+      res.json({
+        success: true,
+        metrics: gateway.getMetrics(),
+        users: connections.size,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [ADMIN] Failed to get gateway metrics:', error);
+      res.status(500).json({ success: false, error: 'Failed to get gateway metrics' });
+    }
+  });
+
   // Handle all other requests (non-API routes)
   app.use((req, res) => {
     res.status(404).json({ 
@@ -537,9 +963,50 @@ function startServer() {
   });
 
   // WebSocket event handlers
-  async function handleSendMessage(userId, payload) {
+  async function handleSendMessage(userId, payload, ws = null) {
     try {
-      const { channelId, content, attachments = [], repliedToMessageId } = payload;
+      const { channelId, content, attachments = [], repliedToMessageId, nonce } = payload;
+
+      const channel = await prisma.channel.findUnique({
+        where: { id: channelId },
+        select: {
+          ...ROOM_CHANNEL_ACCESS_SELECT,
+          type: true,
+          slowModeSeconds: true
+        }
+      });
+
+      // Banned and timed-out users can still read a room channel but not post to it
+      const accessFailure = await getRoomChannelAccessFailure(userId, channel, { posting: true });
+      if (accessFailure) {
+        sendError(ws, accessFailure.code, accessFailure.message, accessFailure.extra);
+        return;
+      }
+
+      const permissions = await resolveChannelPermissions(userId, channelId);
+      if (!hasPermission(permissions, PERMISSIONS.SEND_MESSAGES)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to send messages in this channel');
+        return;
+      }
+
+      if (!canPostInChannel(channel, permissions)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'Only staff can post in announcement channels');
+        return;
+      }
+
+      if (attachments?.length > 0 && !hasPermission(permissions, PERMISSIONS.ATTACH_FILES)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to attach files in this channel');
+        return;
+      }
+
+      const cooldownMs = await getSlowModeCooldown(userId, channel, nonce, permissions);
+      if (cooldownMs > 0) {
+        sendError(ws, ERROR_CODES.RATE_LIMITED, 'Slow mode is enabled in this channel', {
+          retryAfterMs: cooldownMs,
+          slowModeSeconds: channel.slowModeSeconds
+        });
+        return;
+      }
       
       const existingMember = await prisma.channelMember.findUnique({
         where: {
@@ -552,6 +1019,17 @@ function startServer() {
           data: { channelId, userId }
         });
       }
+
+      if (repliedToMessageId) {
+        const parentMessage = await prisma.message.findUnique({
+          where: { id: repliedToMessageId },
+          select: { channelId: true, deletedAt: true }
+        });
+
+        if (!parentMessage || parentMessage.deletedAt || parentMessage.channelId !== channelId) {
+          throw new EventError(ERROR_CODES.NOT_FOUND, 'Replied-to message not found in this channel');
+        }
+      }
       
       const messageType = determineMessageType(content, attachments);
       console.log('🔍 [MESSAGE TYPE] Determining message type:', {
@@ -573,40 +1051,59 @@ function startServer() {
       // Debug: Log full attachment data
       console.log('🔍 [ATTACHMENTS DEBUG] Full attachments received:', JSON.stringify(attachments, null, 2));
       
-      const message = await prisma.message.create({
-        data: {
-          channelId,
-          authorId: userId,
-          content,
-          type: messageType,
-          attachments: attachments || [],
-          repliedToMessageId
-        },
-        include: {
-          author: {
-            select: {
-              id: true,
-              username: true,
-              displayName: true,
-              avatarUrl: true,
-              walletAddress: true
-            }
-          },
-          repliedToMessage: {
-            include: {
-              author: {
-                select: {
-                  id: true,
-                  username: true,
-                  displayName: true,
-                  walletAddress: true
-                }
+      const { mentionedUserIds, mentionsEveryone } = await resolveMessageMentions(userId, channelId, content, permissions);
+
+      const author = {
+        select: {
+          id: true,
+          username: true,
+          displayName: true,
+          avatarUrl: true,
+          walletAddress: true
+        }
+      };
+
+      const { message, duplicate } = await createMessageOnce({
+        channelId,
+        authorId: userId,
+        content,
+        type: messageType,
+        attachments: attachments || [],
+        repliedToMessageId,
+        mentionedUserIds,
+        mentionsEveryone,
+        nonce
+      }, {
+        author,
+        repliedToMessage: {
+          include: {
+            author: {
+              select: {
+                id: true,
+                username: true,
+                displayName: true,
+                walletAddress: true
               }
             }
           }
         }
       });
 
+      // Ack before the broadcast so the sender can swap its optimistic message for the real ID
+      ws?.send(encodeFrame(SERVER_EVENTS.MESSAGE_ACK, {
+        messageId: message.id,
+        channelId: message.channelId,
+        sentAt: message.sentAt,
+        nonce: message.nonce,
+        duplicate
+      }, ws.requestId));
+
+      // A retried send was already stored and broadcast by the first attempt
+      if (duplicate) {
+        console.log('🔁 [SERVER] Duplicate send ignored:', { id: message.id, nonce: message.nonce });
+        return;
+      }
+
       console.log('📤 [SERVER] Broadcasting message:', {
         id: message.id,
         type: message.type,
@@ -617,15 +1114,51 @@ function startServer() {
         attachmentsLength: message.attachments ? message.attachments.length : 0
       });
       await broadcastToChannel(channelId, SERVER_EVENTS.MESSAGE_RECEIVED, message, null);
+
+      // The message is stored, acked and delivered by now - a failure past this
+      // point is logged, never reported to the sender as a failed send
+      try {
+        if (isAnnouncementChannel(channel)) {
+          const mirrors = await mirrorAnnouncement(message, { author });
+          for (const mirror of mirrors) {
+            await broadcastToChannel(mirror.channelId, SERVER_EVENTS.MESSAGE_RECEIVED, mirror, null);
+          }
+        }
+
+        if (repliedToMessageId) {
+          await updateThreadOnReply(message);
+        }
+
+        await notifyMentionedUsers(message);
+
+        // Your own message is never unread
+        await prisma.channelMember.updateMany({
+          where: { channelId, userId },
+          data: { lastReadMessageId: message.id, lastReadAt: message.sentAt }
+        });
+      } catch (error) {
+        console.error('❌ [SERVER] Error in follow-up after sending message:', { messageId: message.id, error });
+      }
     } catch (error) {
       console.error('❌ Error sending message:', error);
       throw error; // Re-throw to be caught by caller
     }
   }
 
-  async function handleJoinChannel(userId, payload) {
+  async function handleJoinChannel(userId, payload, ws) {
     try {
       const { channelId } = payload;
+
+      const channel = await prisma.channel.findUnique({
+        where: { id: channelId },
+        select: ROOM_CHANNEL_ACCESS_SELECT
+      });
+
+      const accessFailure = await getRoomChannelAccessFailure(userId, channel);
+      if (accessFailure) {
+        sendError(ws, accessFailure.code, accessFailure.message, accessFailure.extra);
+        return;
+      }
       
       const existingMember = await prisma.channelMember.findUnique({
         where: {
@@ -688,6 +1221,7 @@ function startServer() {
         const channel = await prisma.channel.findUnique({
           where: { id: channelId },
           select: {
+            ...ROOM_CHANNEL_ACCESS_SELECT,
             type: true,
             _count: {
               select: { members: true }
@@ -703,6 +1237,13 @@ function startServer() {
           });
           return;
         }
+
+        // Fetching subscribes the caller, so it must pass the same checks as joining
+        const accessFailure = await getRoomChannelAccessFailure(userId, channel);
+        if (accessFailure) {
+          sendError(ws, accessFailure.code, accessFailure.message, accessFailure.extra);
+          return;
+        }
         
         await prisma.channelMember.create({
           data: { channelId, userId }
@@ -713,87 +1254,20 @@ function startServer() {
       const messages = await prisma.message.findMany({
         where: {
           channelId,
-          deletedAt: null,
           ...(before && { sentAt: { lt: new Date(before) } })
         },
-        select: {
-          id: true,
-          content: true,
-          type: true,
-          sentAt: true,
-          editedAt: true,
-          deletedAt: true,
-          authorId: true,
-          channelId: true,
-          repliedToMessageId: true,
-          attachments: true,
-          isSystem: true,
-          author: {
-            select: {
-              id: true,
-              username: true,
-              displayName: true,
-              avatarUrl: true,
-              walletAddress: true,
-              role: true,
-              isVerified: true,
-              bio: true,
-              twitterHandle: true,
-              discordHandle: true,
-              twitchHandle: true,
-              spotifyHandle: true,
-              status: true
-            }
-          },
-          reactions: {
-            select: {
-              id: true,
-              emoji: true,
-              userId: true,
-              user: {
-                select: {
-                  id: true,
-                  username: true,
-                  role: true
-                }
-              }
-            }
-          },
-          repliedToMessage: {
-            select: {
-              id: true,
-              content: true,
-              authorId: true,
-              author: {
-                select: {
-                  id: true,
-                  username: true,
-                  displayName: true,
-                  walletAddress: true,
-                  role: true,
-                  isVerified: true,
-                  bio: true,
-                  twitterHandle: true,
-                  discordHandle: true,
-                  twitchHandle: true,
-                  spotifyHandle: true,
-                  status: true
-                }
-              }
-            }
-          }
-        },
+        select: MESSAGE_SELECT,
         orderBy: { sentAt: 'desc' },
         take: parseInt(limit)
       });
 
-      const reversedMessages = messages.reverse();
+      const reversedMessages = messages.reverse().map(toMessageView);
 
       // Send messages directly without caching (real-time)
-      ws.send(msgpack.encode([SERVER_EVENTS.MESSAGES_LOADED, {
+      ws.send(encodeFrame(SERVER_EVENTS.MESSAGES_LOADED, {
         channelId,
         messages: reversedMessages
-      }, Date.now()]));
+      }, ws.requestId));
 
     } catch (error) {
       console.error('❌ [SERVER] Error fetching messages:', error);
@@ -874,9 +1348,14 @@ function startServer() {
           performanceMonitor.recordCacheHit();
           console.log('⚡ [CACHE] Channels served from validated cache for user:', userId);
           console.log('🔍 [DEBUG] Cached channels count:', cachedChannels.length);
-          ws.send(msgpack.encode([SERVER_EVENTS.CHANNELS_LOADED, {
-            channels: cachedChannels
-          }, Date.now()]));
+          const [unreadCounts, rooms] = await Promise.all([
+            getUnreadCounts(userId),
+            buildRoomChannelTrees(cachedChannels)
+          ]);
+          ws.send(encodeFrame(SERVER_EVENTS.CHANNELS_LOADED, {
+            channels: withUnreadCounts(cachedChannels, unreadCounts),
+            rooms
+          }, ws.requestId));
           return;
         } else {
           console.log('❌ [CACHE] Cache validation failed, fetching from database...');
@@ -901,10 +1380,11 @@ function startServer() {
                 }
               }
             },
-            // Public channels (rooms) - visible to everyone
+            // Public channels (rooms) - visible to everyone until archived
             {
-              type: 'text-group',
-              isPrivate: false
+              type: { in: ROOM_CHANNEL_TYPES },
+              isPrivate: false,
+              NOT: { room: { is: { isActive: false } } }
             }
           ]
         },
@@ -920,6 +1400,9 @@ function startServer() {
           isPrivate: true,
           lastMessageId: true,
           topic: true,
+          slowModeSeconds: true,
+          categoryId: true,
+          position: true,
                 members: {
                   select: {
                     id: true,
@@ -970,6 +1453,7 @@ function startServer() {
           room: {
             select: {
               id: true,
+              isActive: true,
               members: {
                 select: {
                   userId: true,
@@ -999,16 +1483,21 @@ function startServer() {
         createdBy: c.createdBy,
         roomId: c.roomId
       })));
-      ws.send(msgpack.encode([SERVER_EVENTS.CHANNELS_LOADED, {
-        channels: channels
-      }, Date.now()]));
+      const [unreadCounts, rooms] = await Promise.all([
+        getUnreadCounts(userId),
+        buildRoomChannelTrees(channels)
+      ]);
+      ws.send(encodeFrame(SERVER_EVENTS.CHANNELS_LOADED, {
+        channels: withUnreadCounts(channels, unreadCounts),
+        rooms
+      }, ws.requestId));
       
       // Cache the result in background (non-blocking) with longer TTL
       const userChannels = channels.filter(c => 
         c.members?.some(m => m.userId === userId)
       );
       const publicChannels = channels.filter(c => 
-        c.type === 'text-group' && !c.isPrivate
+        ROOM_CHANNEL_TYPES.includes(c.type) && !c.isPrivate && c.room?.isActive !== false
       );
       
       // Cache user-specific channels with short TTL (2 minutes)
@@ -1044,80 +1533,198 @@ function startServer() {
     }
   }
 
-  async function handleMarkAsRead(userId, payload) {
-    try {
-      const { messageId } = payload;
-      
-      // Validate that the message exists before creating read receipt
-      const message = await prisma.message.findUnique({
-        where: { id: messageId },
-        select: { id: true, channelId: true }
+  // Read markers - one lastRead pointer per ChannelMember instead of a receipt per message
+  async function markChannelRead(userId, channelId, messageId = null) {
+    const membership = await prisma.channelMember.findUnique({
+      where: {
+        channelId_userId: { channelId, userId }
+      },
+      select: {
+        id: true,
+        lastReadAt: true,
+        lastReadMessageId: true,
+        channel: { select: { type: true } }
+      }
+    });
+
+    if (!membership) {
+      console.log('⚠️ [SERVER] Cannot mark channel as read: user not member of channel', {
+        channelId,
+        userId
       });
-      
-      if (!message) {
-        console.log('⚠️ [SERVER] Cannot mark message as read: message not found', {
-          messageId,
-          userId
+      return null;
+    }
+
+    const target = messageId
+      ? await prisma.message.findFirst({
+          where: { id: messageId, channelId },
+          select: { id: true, sentAt: true }
+        })
+      : await prisma.message.findFirst({
+          where: { channelId, deletedAt: null },
+          orderBy: { sentAt: 'desc' },
+          select: { id: true, sentAt: true }
         });
-        return; // Silently return - don't throw error for non-existent messages
-      }
-      
-      // Check if user has access to the channel containing this message
-      const membership = await prisma.channelMember.findUnique({
-        where: {
-          channelId_userId: {
-            channelId: message.channelId,
-            userId
-          }
-        }
-      });
-      
-      if (!membership) {
-        console.log('⚠️ [SERVER] Cannot mark message as read: user not member of channel', {
-          messageId,
-          userId,
-          channelId: message.channelId
-        });
-        return; // Silently return - don't throw error for unauthorized access
+
+    if (!target) return null;
+
+    // Markers only move forward
+    if (membership.lastReadAt && target.sentAt <= membership.lastReadAt) {
+      return {
+        channelId,
+        lastReadMessageId: membership.lastReadMessageId,
+        lastReadAt: membership.lastReadAt
+      };
+    }
+
+    await prisma.channelMember.update({
+      where: { id: membership.id },
+      data: {
+        lastReadMessageId: target.id,
+        lastReadAt: target.sentAt
       }
-      
-      await prisma.readReceipt.upsert({
+    });
+
+    // Reading up to a point clears mention notifications for the channel up to that point
+    const mentions = await prisma.notification.findMany({
+      where: {
+        userId,
+        type: 'mention',
+        isRead: false,
+        data: { path: ['channelId'], equals: channelId }
+      },
+      select: { id: true, data: true }
+    });
+
+    if (mentions.length > 0) {
+      const readMessages = await prisma.message.findMany({
         where: {
-          messageId_userId: {
-            messageId,
-            userId
-          }
+          id: { in: mentions.map(mention => mention.data?.messageId).filter(Boolean) },
+          sentAt: { lte: target.sentAt }
         },
-        update: {
-          readAt: new Date()
+        select: { id: true }
+      });
+      const readMessageIds = new Set(readMessages.map(message => message.id));
+
+      await prisma.notification.updateMany({
+        where: {
+          id: { in: mentions.filter(mention => readMessageIds.has(mention.data?.messageId)).map(mention => mention.id) }
         },
-        create: {
-          messageId,
-          userId,
-          readAt: new Date()
-        }
+        data: { isRead: true, readAt: new Date() }
+      });
+    }
+
+    const marker = {
+      channelId,
+      userId,
+      lastReadMessageId: target.id,
+      lastReadAt: target.sentAt
+    };
+
+    // DM partners see "seen" state live; group channels only expose it on fetch
+    if (membership.channel.type === 'dm') {
+      await broadcastToChannel(channelId, SERVER_EVENTS.READ_RECEIPT_UPDATED, marker, userId);
+    }
+
+    return marker;
+  }
+
+  async function handleMarkAsRead(userId, payload) {
+    try {
+      const { messageId } = payload;
+      
+      // Legacy per-message event - advances the channel read marker
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: { id: true, channelId: true }
       });
       
-      // Reduced logging to prevent spam - only log every 10th read receipt
-      if (Math.random() < 0.1) {
-        console.log('✅ [SERVER] Message marked as read (sample):', {
+      if (!message) {
+        console.log('⚠️ [SERVER] Cannot mark message as read: message not found', {
           messageId,
-          userId,
-          channelId: message.channelId
+          userId
         });
+        return; // Silently return - don't throw error for non-existent messages
       }
+      
+      await markChannelRead(userId, message.channelId, messageId);
     } catch (error) {
       console.error('❌ [SERVER] Error marking message as read:', error);
       throw error;
     }
   }
 
+  async function handleMarkChannelRead(userId, payload, ws) {
+    try {
+      const { channelId, messageId } = payload;
+
+      if (!channelId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Channel ID is required');
+        return;
+      }
+
+      const marker = await markChannelRead(userId, channelId, messageId || null);
+
+      // The marker may not have moved (older message), so report what is actually left unread
+      const counts = (await getUnreadCounts(userId, channelId))[channelId];
+      if (!counts) {
+        sendError(ws, ERROR_CODES.NOT_A_MEMBER, 'Access denied: You are not a member of this channel');
+        return;
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.CHANNEL_READ, {
+        channelId,
+        lastReadMessageId: marker?.lastReadMessageId || null,
+        lastReadAt: marker?.lastReadAt || null,
+        ...counts
+      }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error marking channel as read:', error);
+      throw error;
+    }
+  }
+
+  // Unread and mention counts for every channel the user belongs to, or just channelId
+  async function getUnreadCounts(userId, channelId = null) {
+    const rows = await prisma.$queryRaw`
+      SELECT cm."channelId",
+        COUNT(m."id") FILTER (WHERE m."authorId" <> ${userId})::INTEGER AS "unreadCount",
+        COUNT(m."id") FILTER (WHERE m."authorId" <> ${userId} AND ${userId} = ANY(m."mentionedUserIds"))::INTEGER AS "mentionCount"
+      FROM "ChannelMember" cm
+      LEFT JOIN "Message" m
+        ON m."channelId" = cm."channelId"
+        AND m."deletedAt" IS NULL
+        AND m."isSystem" = false
+        AND m."sentAt" > COALESCE(cm."lastReadAt", cm."joinedAt")
+      WHERE cm."userId" = ${userId}
+        AND (${channelId}::text IS NULL OR cm."channelId" = ${channelId})
+      GROUP BY cm."channelId"
+    `;
+
+    const counts = {};
+    rows.forEach(row => {
+      counts[row.channelId] = {
+        unreadCount: row.unreadCount,
+        mentionCount: row.mentionCount
+      };
+    });
+    return counts;
+  }
+
+  function withUnreadCounts(channels, counts) {
+    return channels.map(c => ({
+      ...c,
+      unreadCount: counts[c.id]?.unreadCount || 0,
+      mentionCount: counts[c.id]?.mentionCount || 0
+    }));
+  }
+
   async function handleAddReaction(userId, payload) {
     try {
       const { messageId, emoji } = payload;
       
       if (!messageId || !emoji) {
-        throw new Error('Message ID and emoji are required');
+        throw new EventError(ERROR_CODES.VALIDATION_FAILED, 'Message ID and emoji are required');
       }
 
       // Check if user has access to this message (via channel membership)
@@ -1135,17 +1742,17 @@ function startServer() {
       });
 
       if (!message) {
-        throw new Error('Message not found');
+        throw new EventError(ERROR_CODES.NOT_FOUND, 'Message not found');
       }
 
       if (message.channel.members.length === 0) {
-        throw new Error('Access denied: You do not have access to this message');
+        throw new EventError(ERROR_CODES.NOT_A_MEMBER, 'Access denied: You do not have access to this message');
       }
 
       // Validate emoji - only allow the 6 Messenger emojis
       const allowedEmojis = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
       if (!allowedEmojis.includes(emoji)) {
-        throw new Error('Invalid emoji. Only 👍, ❤️, 😂, 😮, 😢, 🙏 are allowed');
+        throw new EventError(ERROR_CODES.VALIDATION_FAILED, 'Invalid emoji. Only 👍, ❤️, 😂, 😮, 😢, 🙏 are allowed');
       }
 
       // Check if user already has ANY reaction on this message (Messenger: one reaction per user)
@@ -1262,7 +1869,7 @@ function startServer() {
       const { messageId, emoji } = payload;
       
       if (!messageId || !emoji) {
-        throw new Error('Message ID and emoji are required');
+        throw new EventError(ERROR_CODES.VALIDATION_FAILED, 'Message ID and emoji are required');
       }
 
       // Check if user has access to this message (via channel membership)
@@ -1280,11 +1887,11 @@ function startServer() {
       });
 
       if (!message) {
-        throw new Error('Message not found');
+        throw new EventError(ERROR_CODES.NOT_FOUND, 'Message not found');
       }
 
       if (message.channel.members.length === 0) {
-        throw new Error('Access denied: You do not have access to this message');
+        throw new EventError(ERROR_CODES.NOT_A_MEMBER, 'Access denied: You do not have access to this message');
       }
 
       // Find and delete the reaction
@@ -1337,2128 +1944,4482 @@ function startServer() {
     }
   }
 
-  // WebSocket server setup
-  const server = createServer(app);
-  
-  // Start performance monitoring
-  performanceMonitor.startMonitoring();
-  
-  const wss = new WebSocketServer({ server });
+  async function handleEditMessage(userId, payload, ws) {
+    try {
+      const { messageId, content } = payload;
 
-  // Remove separate authWss - handle all connections in main wss
+      if (!messageId || typeof content !== 'string' || !content.trim()) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID and content are required');
+        return;
+      }
 
-  // Storage WebSocket handlers
-  async function handleStorageGet(userId, payload, ws) {
-    try {
-      const { key } = payload;
-      if (!key) {
-        ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Key is required' }, Date.now()]));
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: {
+          id: true,
+          authorId: true,
+          channelId: true,
+          content: true,
+          deletedAt: true,
+          isSystem: true,
+          mirroredFromId: true,
+          mentionedUserIds: true
+        }
+      });
+
+      if (!message || message.deletedAt) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
         return;
       }
 
-      const storageKey = `storage:${userId}:${key}`;
-      const data = await redis.get(storageKey);
-      
-      if (data === null) {
-        ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Key not found' }, Date.now()]));
+      if (message.mirroredFromId) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'Edit the original announcement instead');
         return;
       }
 
-      // Parse the stored data
-      let parsedData;
-      try {
-        parsedData = JSON.parse(data);
-      } catch (parseError) {
-        parsedData = { value: data, timestamp: Date.now() };
+      // Only the author can edit, and system messages are never editable
+      if (message.authorId !== userId || message.isSystem) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You can only edit your own messages');
+        return;
+      }
+
+      if (message.content === content) {
+        return; // Nothing changed
+      }
+
+      // Mentions follow the new text; only users it newly mentions get notified
+      const { mentionedUserIds, mentionsEveryone } = await resolveMessageMentions(userId, message.channelId, content);
+      const newlyMentionedUserIds = mentionedUserIds.filter(id => !message.mentionedUserIds.includes(id));
+
+      const editedAt = new Date();
+      const [, updatedMessage] = await prisma.$transaction([
+        prisma.messageEdit.create({
+          data: {
+            messageId,
+            previousContent: message.content,
+            editedAt
+          }
+        }),
+        prisma.message.update({
+          where: { id: messageId },
+          data: { content, editedAt, mentionedUserIds, mentionsEveryone },
+          select: {
+            id: true,
+            channelId: true,
+            content: true,
+            editedAt: true,
+            authorId: true,
+            mentionedUserIds: true,
+            mentionsEveryone: true
+          }
+        })
+      ]);
+
+      console.log('✏️ [SERVER] Message edited:', { messageId, userId, channelId: message.channelId });
+
+      await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_EDITED, updatedMessage, null);
+
+      // Copies in channels following an announcement channel show the same text
+      const mirrors = await findMirrors(messageId);
+      if (mirrors.length > 0) {
+        await prisma.message.updateMany({
+          where: { id: { in: mirrors.map(mirror => mirror.id) } },
+          data: { content, editedAt }
+        });
+        for (const mirror of mirrors) {
+          await broadcastToChannel(mirror.channelId, SERVER_EVENTS.MESSAGE_EDITED, {
+            ...updatedMessage,
+            id: mirror.id,
+            channelId: mirror.channelId,
+            mentionedUserIds: [],
+            mentionsEveryone: false
+          }, null);
+        }
       }
 
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_GET_RESPONSE, parsedData, Date.now()]));
+      if (newlyMentionedUserIds.length > 0) {
+        const author = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { username: true, displayName: true }
+        });
+        await notifyMentionedUsers({ ...updatedMessage, author, mentionedUserIds: newlyMentionedUserIds });
+      }
     } catch (error) {
-      console.error('❌ [STORAGE WS] Get error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Failed to get storage item' }, Date.now()]));
+      console.error('❌ [SERVER] Error editing message:', error);
+      throw error;
     }
   }
 
-  async function handleStorageSet(userId, payload, ws) {
+  async function handleDeleteMessage(userId, payload, ws) {
     try {
-      const { key, value, ttl } = payload;
-      if (!key || value === undefined) {
-        ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_SET_RESPONSE, { error: 'Key and value are required' }, Date.now()]));
+      const { messageId } = payload;
+
+      if (!messageId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
         return;
       }
 
-      const storageKey = `storage:${userId}:${key}`;
-      const storageData = {
-        value,
-        timestamp: Date.now(),
-        ttl: ttl || null
-      };
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: {
+          id: true,
+          authorId: true,
+          channelId: true,
+          deletedAt: true,
+          repliedToMessageId: true,
+          channel: {
+            select: { id: true, type: true, roomId: true }
+          }
+        }
+      });
 
-      const ttlSeconds = ttl || 86400; // Default 24 hours
-      await redis.set(storageKey, JSON.stringify(storageData), ttlSeconds);
-      
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_SET_RESPONSE, { success: true, key, ttl: ttlSeconds }, Date.now()]));
-    } catch (error) {
-      console.error('❌ [STORAGE WS] Set error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_SET_RESPONSE, { error: 'Failed to set storage item' }, Date.now()]));
-    }
-  }
+      if (!message) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
+        return;
+      }
 
-  async function handleStorageDelete(userId, payload, ws) {
-    try {
-      const { key } = payload;
-      if (!key) {
-        ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { error: 'Key is required' }, Date.now()]));
+      if (message.deletedAt) {
+        return; // Already deleted - nothing to broadcast
+      }
+
+      const isAuthor = message.authorId === userId;
+      if (!isAuthor && !hasPermission(await resolveChannelPermissions(userId, message.channelId), PERMISSIONS.MANAGE_MESSAGES)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to delete this message');
         return;
       }
 
-      const storageKey = `storage:${userId}:${key}`;
-      await redis.del(storageKey);
-      
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { success: true, key }, Date.now()]));
-    } catch (error) {
-      console.error('❌ [STORAGE WS] Delete error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { error: 'Failed to delete storage item' }, Date.now()]));
-    }
-  }
+      const deletedMessage = await prisma.message.update({
+        where: { id: messageId },
+        data: { deletedAt: new Date() },
+        select: { id: true, channelId: true, deletedAt: true }
+      });
 
-  async function handleStorageList(userId, payload, ws) {
-    try {
-      const pattern = `storage:${userId}:*`;
-      const keys = await redis.keys(pattern);
-      
-      // Extract just the key names (remove the storage:userId: prefix)
-      const keyNames = keys.map(key => key.replace(`storage:${userId}:`, ''));
-      
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_LIST_RESPONSE, { keys: keyNames, count: keyNames.length }, Date.now()]));
-    } catch (error) {
-      console.error('❌ [STORAGE WS] List error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_LIST_RESPONSE, { error: 'Failed to list storage keys' }, Date.now()]));
-    }
-  }
+      console.log('🗑️ [SERVER] Message deleted:', {
+        messageId,
+        userId,
+        channelId: message.channelId,
+        byModerator: !isAuthor
+      });
 
-  async function handleStorageClear(userId, payload, ws) {
-    try {
-      const pattern = `storage:${userId}:*`;
-      const keys = await redis.keys(pattern);
-      
-      if (keys.length > 0) {
-        await redis.del(...keys);
+      if (!isAuthor) {
+        await recordRoomAudit({
+          roomId: message.channel.roomId,
+          actorId: userId,
+          action: AUDIT_ACTIONS.MESSAGE_DELETED,
+          targetUserId: message.authorId,
+          targetId: messageId,
+          metadata: { channelId: message.channelId }
+        });
       }
-      
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_CLEAR_RESPONSE, { success: true, clearedCount: keys.length }, Date.now()]));
-    } catch (error) {
-      console.error('❌ [STORAGE WS] Clear error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.STORAGE_CLEAR_RESPONSE, { error: 'Failed to clear storage' }, Date.now()]));
-    }
-  }
 
-  async function handleAudioSettingsGet(userId, payload, ws) {
-    try {
-      const audioKeys = ['audioEnabled', 'audioVolume', 'audioMuted'];
-      const settings = {};
-      
-      for (const key of audioKeys) {
-        const storageKey = `storage:${userId}:${key}`;
-        const data = await redis.get(storageKey);
-        if (data) {
-          try {
-            const parsed = JSON.parse(data);
-            settings[key] = parsed.value;
-          } catch {
-            settings[key] = data;
-          }
+      await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_DELETED, {
+        messageId,
+        channelId: deletedMessage.channelId,
+        deletedAt: deletedMessage.deletedAt,
+        deletedBy: userId
+      }, null);
+
+      // A deleted message can no longer stay pinned
+      const removedPins = await prisma.pinnedMessage.deleteMany({
+        where: { messageId }
+      });
+
+      if (removedPins.count > 0) {
+        await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_UNPINNED, {
+          channelId: message.channelId,
+          messageId,
+          unpinnedBy: userId
+        }, null);
+      }
+
+      if (message.repliedToMessageId) {
+        const parent = await refreshThreadStats(message.repliedToMessageId);
+        await notifyThreadFollowers(parent, { deletedReplyId: messageId });
+      }
+
+      // Deleting an announcement removes its copies in following channels
+      const mirrors = await findMirrors(messageId);
+      if (mirrors.length > 0) {
+        const mirrorIds = mirrors.map(mirror => mirror.id);
+        await prisma.$transaction([
+          prisma.message.updateMany({
+            where: { id: { in: mirrorIds } },
+            data: { deletedAt: deletedMessage.deletedAt }
+          }),
+          prisma.pinnedMessage.deleteMany({
+            where: { messageId: { in: mirrorIds } }
+          })
+        ]);
+        for (const mirror of mirrors) {
+          await broadcastToChannel(mirror.channelId, SERVER_EVENTS.MESSAGE_DELETED, {
+            messageId: mirror.id,
+            channelId: mirror.channelId,
+            deletedAt: deletedMessage.deletedAt,
+            deletedBy: userId
+          }, null);
         }
       }
-      
-      ws.send(msgpack.encode([SERVER_EVENTS.AUDIO_SETTINGS_GET_RESPONSE, { settings }, Date.now()]));
     } catch (error) {
-      console.error('❌ [AUDIO WS] Get error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.AUDIO_SETTINGS_GET_RESPONSE, { error: 'Failed to get audio settings' }, Date.now()]));
+      console.error('❌ [SERVER] Error deleting message:', error);
+      throw error;
     }
   }
 
-  async function handleAudioSettingsSet(userId, payload, ws) {
+  async function handleFetchMessageEdits(userId, payload, ws) {
     try {
-      const { settings } = payload;
-      if (!settings || typeof settings !== 'object') {
-        ws.send(msgpack.encode([SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { error: 'Settings object is required' }, Date.now()]));
+      const { messageId } = payload;
+
+      if (!messageId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
         return;
       }
 
-      const results = {};
-      for (const [key, value] of Object.entries(settings)) {
-        const storageKey = `storage:${userId}:${key}`;
-        const storageData = {
-          value,
-          timestamp: Date.now(),
-          ttl: 86400 * 30 // 30 days for audio settings
-        };
-        
-        await redis.set(storageKey, JSON.stringify(storageData), 86400 * 30);
-        results[key] = value;
-      }
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: {
+          id: true,
+          channelId: true,
+          deletedAt: true,
+          channel: {
+            select: {
+              members: {
+                where: { userId },
+                select: { id: true }
+              }
+            }
+          }
+        }
+      });
+
+      if (!message || message.deletedAt) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
+        return;
+      }
+
+      if (message.channel.members.length === 0) {
+        sendError(ws, ERROR_CODES.NOT_A_MEMBER, 'Access denied: You do not have access to this message');
+        return;
+      }
+
+      const edits = await prisma.messageEdit.findMany({
+        where: { messageId },
+        select: { id: true, previousContent: true, editedAt: true },
+        orderBy: { editedAt: 'asc' }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.MESSAGE_EDITS_LOADED, {
+        messageId,
+        channelId: message.channelId,
+        edits
+      }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error fetching message edits:', error);
+      throw error;
+    }
+  }
+
+  // Mention handlers
+  async function resolveMessageMentions(userId, channelId, content, permissions = null) {
+    const parsed = parseMentions(content);
+    if (!parsed.everyone && !parsed.here && parsed.usernames.length === 0) {
+      return { mentionedUserIds: [], mentionsEveryone: false };
+    }
+
+    const channel = await prisma.channel.findUnique({
+      where: { id: channelId },
+      select: {
+        members: {
+          select: {
+            userId: true,
+            user: { select: { username: true } }
+          }
+        }
+      }
+    });
+
+    if (!channel) {
+      return { mentionedUserIds: [], mentionsEveryone: false };
+    }
+
+    const allowEveryone = parsed.everyone && hasPermission(
+      permissions ?? await resolveChannelPermissions(userId, channelId),
+      PERMISSIONS.MENTION_EVERYONE
+    );
+
+    return resolveMentions(
+      parsed,
+      channel.members.map(member => ({ userId: member.userId, username: member.user.username })),
+      {
+        allowEveryone,
+        isOnline: memberId => isUserOnline(memberId),
+        authorId: userId
+      }
+    );
+  }
+
+  async function notifyMentionedUsers(message) {
+    if (!message.mentionedUserIds || message.mentionedUserIds.length === 0) return;
+
+    const channel = await prisma.channel.findUnique({
+      where: { id: message.channelId },
+      select: { name: true, type: true }
+    });
+
+    const authorName = message.author?.displayName || message.author?.username || 'Someone';
+    const where = channel?.type === 'dm' || !channel?.name ? 'a direct message' : `#${channel.name}`;
+    const notification = {
+      type: 'mention',
+      title: 'New mention',
+      message: `${authorName} mentioned you in ${where}`,
+      data: {
+        channelId: message.channelId,
+        messageId: message.id,
+        fromUserId: message.authorId,
+        fromUserName: authorName
+      }
+    };
+
+    await prisma.notification.createMany({
+      data: message.mentionedUserIds.map(mentionedUserId => ({
+        userId: mentionedUserId,
+        ...notification
+      }))
+    });
+
+    await Promise.all(message.mentionedUserIds.map(mentionedUserId =>
+      sendToUser(mentionedUserId, SERVER_EVENTS.NOTIFICATION_RECEIVED, {
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        ...notification.data
+      })
+    ));
+
+    console.log('🔔 [SERVER] Mention notifications sent:', {
+      messageId: message.id,
+      channelId: message.channelId,
+      mentioned: message.mentionedUserIds.length
+    });
+  }
+
+  // Thread handlers
+  async function updateThreadOnReply(reply) {
+    const parent = await prisma.message.update({
+      where: { id: reply.repliedToMessageId },
+      data: {
+        replyCount: { increment: 1 },
+        lastReplyAt: reply.sentAt,
+        lastReplyAuthorId: reply.authorId
+      },
+      select: {
+        id: true,
+        authorId: true,
+        channelId: true,
+        replyCount: true,
+        lastReplyAt: true,
+        lastReplyAuthorId: true
+      }
+    });
+
+    // The parent author and everyone who replies are auto-subscribed
+    const participantIds = [...new Set([parent.authorId, reply.authorId])];
+    await Promise.all(participantIds.map(participantId =>
+      prisma.threadFollow.upsert({
+        where: {
+          messageId_userId: { messageId: parent.id, userId: participantId }
+        },
+        create: { messageId: parent.id, userId: participantId },
+        update: {}
+      })
+    ));
+
+    await notifyThreadFollowers(parent, { reply }, reply.authorId);
+  }
+
+  async function refreshThreadStats(parentId) {
+    const [replyCount, lastReply] = await Promise.all([
+      prisma.message.count({
+        where: { repliedToMessageId: parentId, deletedAt: null }
+      }),
+      prisma.message.findFirst({
+        where: { repliedToMessageId: parentId, deletedAt: null },
+        orderBy: { sentAt: 'desc' },
+        select: { sentAt: true, authorId: true }
+      })
+    ]);
+
+    return prisma.message.update({
+      where: { id: parentId },
+      data: {
+        replyCount,
+        lastReplyAt: lastReply?.sentAt || null,
+        lastReplyAuthorId: lastReply?.authorId || null
+      },
+      select: {
+        id: true,
+        channelId: true,
+        replyCount: true,
+        lastReplyAt: true,
+        lastReplyAuthorId: true
+      }
+    });
+  }
+
+  async function notifyThreadFollowers(parent, extra = {}, excludeUserId = null) {
+    const followers = await prisma.threadFollow.findMany({
+      where: { messageId: parent.id },
+      select: { userId: true }
+    });
+
+    await Promise.all(followers
+      .filter(follower => follower.userId !== excludeUserId)
+      .map(follower => sendToUser(follower.userId, SERVER_EVENTS.THREAD_UPDATED, {
+        threadId: parent.id,
+        channelId: parent.channelId,
+        replyCount: parent.replyCount,
+        lastReplyAt: parent.lastReplyAt,
+        lastReplyAuthorId: parent.lastReplyAuthorId,
+        ...extra
+      })));
+  }
+
+  async function handleFetchThread(userId, payload, ws) {
+    try {
+      const { messageId, limit = 50, before } = payload;
+
+      if (!messageId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
+        return;
+      }
+
+      const parent = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: MESSAGE_SELECT
+      });
+
+      if (!parent) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
+        return;
+      }
+
+      const membership = await prisma.channelMember.findUnique({
+        where: {
+          channelId_userId: { channelId: parent.channelId, userId }
+        },
+        select: { id: true }
+      });
+
+      if (!membership) {
+        sendError(ws, ERROR_CODES.NOT_A_MEMBER, 'Access denied: You are not a member of this channel');
+        return;
+      }
+
+      const take = Math.min(parseInt(limit) || 50, 100);
+      const replies = await prisma.message.findMany({
+        where: {
+          repliedToMessageId: messageId,
+          ...(before && { sentAt: { lt: new Date(before) } })
+        },
+        select: MESSAGE_SELECT,
+        orderBy: { sentAt: 'desc' },
+        take: take + 1
+      });
+
+      const hasMore = replies.length > take;
+      const page = replies.slice(0, take).reverse().map(toMessageView);
+
+      // Opening a thread marks it read for followers
+      await prisma.threadFollow.updateMany({
+        where: { messageId, userId },
+        data: { lastReadAt: new Date() }
+      });
+
+      const follow = await prisma.threadFollow.findUnique({
+        where: {
+          messageId_userId: { messageId, userId }
+        },
+        select: { id: true }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.THREAD_LOADED, {
+        threadId: messageId,
+        channelId: parent.channelId,
+        parent: toMessageView(parent),
+        replies: page,
+        hasMore,
+        isFollowing: !!follow
+      }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error fetching thread:', error);
+      throw error;
+    }
+  }
+
+  async function handleFollowThread(userId, payload, ws, follow = true) {
+    try {
+      const { messageId } = payload;
+
+      if (!messageId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
+        return;
+      }
+
+      if (follow) {
+        const parent = await prisma.message.findUnique({
+          where: { id: messageId },
+          select: { id: true, channelId: true, deletedAt: true }
+        });
+
+        if (!parent || parent.deletedAt) {
+          sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
+          return;
+        }
+
+        const membership = await prisma.channelMember.findUnique({
+          where: {
+            channelId_userId: { channelId: parent.channelId, userId }
+          },
+          select: { id: true }
+        });
+
+        if (!membership) {
+          sendError(ws, ERROR_CODES.NOT_A_MEMBER, 'Access denied: You are not a member of this channel');
+          return;
+        }
+
+        await prisma.threadFollow.upsert({
+          where: {
+            messageId_userId: { messageId, userId }
+          },
+          create: { messageId, userId },
+          update: {}
+        });
+      } else {
+        await prisma.threadFollow.deleteMany({
+          where: { messageId, userId }
+        });
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.THREAD_FOLLOW_UPDATED, {
+        threadId: messageId,
+        isFollowing: follow
+      }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error updating thread follow:', error);
+      throw error;
+    }
+  }
+
+  async function handleFetchFollowedThreads(userId, payload, ws) {
+    try {
+      const { limit = 25, before } = payload || {};
+      const take = Math.min(parseInt(limit) || 25, 100);
+
+      const follows = await prisma.threadFollow.findMany({
+        where: {
+          userId,
+          message: {
+            deletedAt: null,
+            replyCount: { gt: 0 },
+            channel: {
+              members: { some: { userId } }
+            },
+            ...(before && { lastReplyAt: { lt: new Date(before) } })
+          }
+        },
+        select: {
+          lastReadAt: true,
+          message: { select: MESSAGE_SELECT }
+        },
+        orderBy: { message: { lastReplyAt: 'desc' } },
+        take: take + 1
+      });
+
+      const hasMore = follows.length > take;
+      const threads = follows.slice(0, take).map(follow => ({
+        threadId: follow.message.id,
+        channelId: follow.message.channelId,
+        parent: toMessageView(follow.message),
+        replyCount: follow.message.replyCount,
+        lastReplyAt: follow.message.lastReplyAt,
+        lastReadAt: follow.lastReadAt,
+        hasUnread: !!follow.message.lastReplyAt && follow.message.lastReplyAt > follow.lastReadAt
+      }));
+
+      ws.send(encodeFrame(SERVER_EVENTS.FOLLOWED_THREADS_LOADED, { threads, hasMore }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error fetching followed threads:', error);
+      throw error;
+    }
+  }
+
+  // Slow mode - set with MANAGE_CHANNELS, enforced per author in handleSendMessage
+  async function handleSetSlowMode(userId, payload, ws) {
+    try {
+      const { channelId, seconds } = payload;
+
+      const channel = await prisma.channel.findUnique({
+        where: { id: channelId },
+        select: { id: true, roomId: true, slowModeSeconds: true }
+      });
+
+      if (!channel) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Channel not found');
+        return;
+      }
+
+      if (!channel.roomId) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'Slow mode is only available in room channels');
+        return;
+      }
+
+      if (!hasPermission(await resolveChannelPermissions(userId, channelId), PERMISSIONS.MANAGE_CHANNELS)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to change slow mode in this channel');
+        return;
+      }
+
+      if (channel.slowModeSeconds === seconds) {
+        return; // Already set - nothing to do
+      }
+
+      await prisma.channel.update({
+        where: { id: channelId },
+        data: { slowModeSeconds: seconds }
+      });
+
+      // Cached channel lists advertise the interval
+      clearAllChannelCaches('slow mode updated');
+
+      await broadcastToChannel(channelId, SERVER_EVENTS.SLOW_MODE_UPDATED, {
+        channelId,
+        slowModeSeconds: seconds,
+        updatedBy: userId
+      }, null);
+
+      await recordRoomAudit({
+        roomId: channel.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_UPDATED,
+        targetId: channelId,
+        metadata: { slowModeSeconds: { from: channel.slowModeSeconds, to: seconds } }
+      });
+
+      console.log('🐢 [SERVER] Slow mode updated:', { channelId, seconds, userId });
+    } catch (error) {
+      console.error('❌ [SERVER] Error updating slow mode:', error);
+      throw error;
+    }
+  }
+
+  // Pin handlers
+  async function handlePinMessage(userId, payload, ws, pin = true) {
+    try {
+      const { messageId } = payload;
+
+      if (!messageId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
+        return;
+      }
+
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        select: {
+          id: true,
+          channelId: true,
+          deletedAt: true,
+          isSystem: true,
+          channel: {
+            select: { id: true, type: true, roomId: true }
+          },
+          pin: {
+            select: { id: true }
+          }
+        }
+      });
+
+      if (!message || message.deletedAt) {
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Message not found');
+        return;
+      }
+
+      if (!hasPermission(await resolveChannelPermissions(userId, message.channelId), PERMISSIONS.PIN_MESSAGES)) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to manage pins in this channel');
+        return;
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { username: true, displayName: true }
+      });
+      const userName = user?.displayName || user?.username || 'Someone';
+
+      if (pin) {
+        if (message.pin) {
+          sendError(ws, ERROR_CODES.CONFLICT, 'Message is already pinned');
+          return;
+        }
+
+        if (message.isSystem) {
+          sendError(ws, ERROR_CODES.FORBIDDEN, 'System messages cannot be pinned');
+          return;
+        }
+
+        // Count and create under a lock on the channel row so concurrent pins cannot overshoot the cap
+        const pinned = await prisma.$transaction(async tx => {
+          await tx.$queryRaw`SELECT id FROM "Channel" WHERE id = ${message.channelId} FOR UPDATE`;
+
+          const pinCount = await tx.pinnedMessage.count({
+            where: { channelId: message.channelId }
+          });
+          if (pinCount >= MAX_PINS_PER_CHANNEL) return null;
+
+          return tx.pinnedMessage.create({
+            data: {
+              channelId: message.channelId,
+              messageId,
+              pinnedBy: userId
+            },
+            select: {
+              id: true,
+              channelId: true,
+              messageId: true,
+              pinnedBy: true,
+              pinnedAt: true
+            }
+          });
+        });
+
+        if (!pinned) {
+          sendError(ws, ERROR_CODES.LIMIT_REACHED, `This channel already has the maximum of ${MAX_PINS_PER_CHANNEL} pinned messages`);
+          return;
+        }
+
+        const systemMessage = await createPinSystemMessage(userId, message.channelId, `${userName} pinned a message to this channel.`);
+
+        await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_PINNED, pinned, null);
+        await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_RECEIVED, systemMessage, null);
+
+        await recordRoomAudit({
+          roomId: message.channel.roomId,
+          actorId: userId,
+          action: AUDIT_ACTIONS.MESSAGE_PINNED,
+          targetId: messageId,
+          metadata: { channelId: message.channelId }
+        });
+
+        console.log('📌 [SERVER] Message pinned:', { messageId, userId, channelId: message.channelId });
+      } else {
+        if (!message.pin) {
+          return; // Not pinned - nothing to do
+        }
+
+        await prisma.pinnedMessage.delete({
+          where: { messageId }
+        });
+
+        const systemMessage = await createPinSystemMessage(userId, message.channelId, `${userName} unpinned a message from this channel.`);
+
+        await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_UNPINNED, {
+          channelId: message.channelId,
+          messageId,
+          unpinnedBy: userId
+        }, null);
+        await broadcastToChannel(message.channelId, SERVER_EVENTS.MESSAGE_RECEIVED, systemMessage, null);
+
+        await recordRoomAudit({
+          roomId: message.channel.roomId,
+          actorId: userId,
+          action: AUDIT_ACTIONS.MESSAGE_UNPINNED,
+          targetId: messageId,
+          metadata: { channelId: message.channelId }
+        });
+
+        console.log('📌 [SERVER] Message unpinned:', { messageId, userId, channelId: message.channelId });
+      }
+    } catch (error) {
+      console.error('❌ [SERVER] Error updating pin:', error);
+      throw error;
+    }
+  }
+
+  async function handleFetchPins(userId, payload, ws) {
+    try {
+      const { channelId } = payload;
+
+      if (!channelId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Channel ID is required');
+        return;
+      }
+
+      const membership = await prisma.channelMember.findUnique({
+        where: {
+          channelId_userId: { channelId, userId }
+        },
+        select: { id: true }
+      });
+
+      if (!membership) {
+        sendError(ws, ERROR_CODES.NOT_A_MEMBER, 'Access denied: You are not a member of this channel');
+        return;
+      }
+
+      const pins = await prisma.pinnedMessage.findMany({
+        where: { channelId },
+        select: {
+          id: true,
+          channelId: true,
+          messageId: true,
+          pinnedAt: true,
+          user: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true }
+          },
+          message: {
+            select: MESSAGE_SELECT
+          }
+        },
+        orderBy: { pinnedAt: 'desc' }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.PINS_LOADED, {
+        channelId,
+        pins: pins.map(pin => ({ ...pin, message: toMessageView(pin.message) })),
+        maxPins: MAX_PINS_PER_CHANNEL
+      }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error fetching pins:', error);
+      throw error;
+    }
+  }
+
+  // Search handlers
+  async function handleSearchMessages(userId, payload, ws) {
+    try {
+      const { error, filters } = parseSearchFilters(payload || {}, userId);
+
+      if (error) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, error);
+        return;
+      }
+
+      const startTime = Date.now();
+      const results = await searchMessages(userId, filters, { select: MESSAGE_SELECT });
+      performanceMonitor.recordQuery('searchMessages', Date.now() - startTime);
+
+      ws.send(encodeFrame(SERVER_EVENTS.MESSAGES_SEARCH_RESPONSE, {
+        query: filters.query,
+        ...results,
+        messages: results.messages.map(toMessageView)
+      }, ws.requestId));
+
+      console.log('✅ [SEARCH] Message search completed:', {
+        userId,
+        query: filters.query,
+        results: results.messages.length,
+        total: results.total
+      });
+    } catch (error) {
+      console.error('❌ [SEARCH] Error in handleSearchMessages:', error);
+      throw error;
+    }
+  }
+
+  // Replay events missed while disconnected; live events may interleave, clients dedupe by seq
+  async function handleResume(userId, payload, ws) {
+    try {
+      const { streamId, lastSeq } = payload || {};
+
+      if (typeof streamId !== 'string' || !Number.isInteger(lastSeq) || lastSeq < 0) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'streamId and a non-negative integer lastSeq are required');
+        return;
+      }
+
+      const result = await eventStream.getEventsSince(userId, streamId, lastSeq);
+
+      if (result.resync) {
+        console.log('⚠️ [SERVER] Resume not possible, client must resync:', {
+          userId,
+          reason: result.resync,
+          lastSeq,
+          currentSeq: result.seq
+        });
+        ws.send(encodeFrame(SERVER_EVENTS.RESYNC_REQUIRED, {
+          reason: result.resync,
+          streamId: result.streamId,
+          seq: result.seq
+        }, ws.requestId));
+        return;
+      }
+
+      result.events.forEach(entry => {
+        ws.send(msgpack.encode([entry.event, entry.payload, entry.sentAt, entry.seq]));
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.RESUMED, {
+        streamId: result.streamId,
+        seq: result.seq,
+        replayed: result.events.length
+      }, ws.requestId));
+
+      console.log('✅ [SERVER] Stream resumed:', { userId, lastSeq, replayed: result.events.length });
+    } catch (error) {
+      console.error('❌ [SERVER] Error resuming event stream:', error);
+      throw error;
+    }
+  }
+
+  // WebSocket server setup
+  const server = createServer(app);
+  
+  // Start performance monitoring
+  performanceMonitor.startMonitoring();
+  
+  const gateway = new ServerGateway(server, {
+    maxConnections: websocketConfig.connection.maxConnections,
+    maxPayload: websocketConfig.message.maxPayloadSize,
+    maxOutboundQueue: websocketConfig.message.maxQueueSize,
+    heartbeatInterval: 15000,
+    connectionTimeout: 120000, // 2 minutes without any client activity
+    heartbeatEvent: SERVER_EVENTS.PONG,
+    heartbeatPayload: connection => ({
+      serverHeartbeat: true,
+      timestamp: Date.now(),
+      serverTime: new Date().toISOString(),
+      connectionId: connection.id,
+      serverLoad: countSockets()
+    }),
+    authenticate: authenticateSocket,
+    clientIp: req => rateLimiter.getClientIp(req, app.get('trust proxy fn')),
+    rateLimit: (eventType, connection) => rateLimiter.consume(eventType, {
+      userId: connection.userId,
+      ip: connection.metadata.ip
+    }),
+    schemas: EVENT_SCHEMAS
+  });
+
+  // Token-less auth connections share the gateway; handlers opt in with allowUnauthenticated
+
+  // Storage WebSocket handlers
+  async function handleStorageGet(userId, payload, ws) {
+    try {
+      const { key } = payload;
+      if (!key) {
+        ws.send(encodeFrame(SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Key is required' }, ws.requestId));
+        return;
+      }
+
+      const storageKey = `storage:${userId}:${key}`;
+      const data = await redis.get(storageKey);
+      
+      if (data === null) {
+        ws.send(encodeFrame(SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Key not found' }, ws.requestId));
+        return;
+      }
+
+      // Parse the stored data
+      let parsedData;
+      try {
+        parsedData = JSON.parse(data);
+      } catch (parseError) {
+        parsedData = { value: data, timestamp: Date.now() };
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_GET_RESPONSE, parsedData, ws.requestId));
+    } catch (error) {
+      console.error('❌ [STORAGE WS] Get error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_GET_RESPONSE, { error: 'Failed to get storage item' }, ws.requestId));
+    }
+  }
+
+  async function handleStorageSet(userId, payload, ws) {
+    try {
+      const { key, value, ttl } = payload;
+      if (!key || value === undefined) {
+        ws.send(encodeFrame(SERVER_EVENTS.STORAGE_SET_RESPONSE, { error: 'Key and value are required' }, ws.requestId));
+        return;
+      }
+
+      const storageKey = `storage:${userId}:${key}`;
+      const storageData = {
+        value,
+        timestamp: Date.now(),
+        ttl: ttl || null
+      };
+
+      const ttlSeconds = ttl || 86400; // Default 24 hours
+      await redis.set(storageKey, JSON.stringify(storageData), ttlSeconds);
+      
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_SET_RESPONSE, { success: true, key, ttl: ttlSeconds }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [STORAGE WS] Set error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_SET_RESPONSE, { error: 'Failed to set storage item' }, ws.requestId));
+    }
+  }
+
+  async function handleStorageDelete(userId, payload, ws) {
+    try {
+      const { key } = payload;
+      if (!key) {
+        ws.send(encodeFrame(SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { error: 'Key is required' }, ws.requestId));
+        return;
+      }
+
+      const storageKey = `storage:${userId}:${key}`;
+      await redis.del(storageKey);
+      
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { success: true, key }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [STORAGE WS] Delete error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_DELETE_RESPONSE, { error: 'Failed to delete storage item' }, ws.requestId));
+    }
+  }
+
+  async function handleStorageList(userId, payload, ws) {
+    try {
+      const pattern = `storage:${userId}:*`;
+      const keys = await redis.keys(pattern);
+      
+      // Extract just the key names (remove the storage:userId: prefix)
+      const keyNames = keys.map(key => key.replace(`storage:${userId}:`, ''));
+      
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_LIST_RESPONSE, { keys: keyNames, count: keyNames.length }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [STORAGE WS] List error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_LIST_RESPONSE, { error: 'Failed to list storage keys' }, ws.requestId));
+    }
+  }
+
+  async function handleStorageClear(userId, payload, ws) {
+    try {
+      const pattern = `storage:${userId}:*`;
+      const keys = await redis.keys(pattern);
+      
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+      
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_CLEAR_RESPONSE, { success: true, clearedCount: keys.length }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [STORAGE WS] Clear error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.STORAGE_CLEAR_RESPONSE, { error: 'Failed to clear storage' }, ws.requestId));
+    }
+  }
+
+  async function handleAudioSettingsGet(userId, payload, ws) {
+    try {
+      const audioKeys = ['audioEnabled', 'audioVolume', 'audioMuted'];
+      const settings = {};
+      
+      for (const key of audioKeys) {
+        const storageKey = `storage:${userId}:${key}`;
+        const data = await redis.get(storageKey);
+        if (data) {
+          try {
+            const parsed = JSON.parse(data);
+            settings[key] = parsed.value;
+          } catch {
+            settings[key] = data;
+          }
+        }
+      }
+      
+      ws.send(encodeFrame(SERVER_EVENTS.AUDIO_SETTINGS_GET_RESPONSE, { settings }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [AUDIO WS] Get error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.AUDIO_SETTINGS_GET_RESPONSE, { error: 'Failed to get audio settings' }, ws.requestId));
+    }
+  }
+
+  async function handleAudioSettingsSet(userId, payload, ws) {
+    try {
+      const { settings } = payload;
+      if (!settings || typeof settings !== 'object') {
+        ws.send(encodeFrame(SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { error: 'Settings object is required' }, ws.requestId));
+        return;
+      }
+
+      const results = {};
+      for (const [key, value] of Object.entries(settings)) {
+        const storageKey = `storage:${userId}:${key}`;
+        const storageData = {
+          value,
+          timestamp: Date.now(),
+          ttl: 86400 * 30 // 30 days for audio settings
+        };
+        
+        await redis.set(storageKey, JSON.stringify(storageData), 86400 * 30);
+        results[key] = value;
+      }
+      
+      ws.send(encodeFrame(SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { success: true, settings: results }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [AUDIO WS] Set error:', error);
+      ws.send(encodeFrame(SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { error: 'Failed to set audio settings' }, ws.requestId));
+    }
+  }
+
+  // WebSocket Authentication Handlers - responses stay JSON for the auth client
+  async function handleAuthMe(userId, payload, ws) {
+    try {
+      // Get user data for authenticated user
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+          sessions: {
+            where: { expiresAt: { gt: new Date() } },
+            orderBy: { createdAt: 'desc' },
+            take: 1
+          }
+        }
+      });
+
+      if (!user) {
+        sendJson(ws, {
+          type: 'AUTH_ME_RESPONSE',
+          success: false,
+          error: 'User not found'
+        });
+        return;
+      }
+
+      // Get follower counts for the user
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: user.id } }),
+        prisma.follow.count({ where: { followerId: user.id } })
+      ]);
+
+      // Prepare user data for response
+      const userData = {
+        id: user.id,
+        walletAddress: user.walletAddress,
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role,
+        isAdmin: user.role === 0,
+        isVerified: user.isVerified,
+        avatarUrl: user.avatarUrl,
+        avatarBlob: user.avatarBlob,
+        bio: user.bio,
+        followerCount,
+        followingCount,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        twitterHandle: user.twitterHandle,
+        discordHandle: user.discordHandle,
+        twitchHandle: user.twitchHandle,
+        spotifyHandle: user.spotifyHandle,
+        status: user.status || 'online',
+        lastSeen: user.lastSeen
+      };
+
+      // Get the current session token
+      const currentSession = user.sessions[0];
+      const token = currentSession ? currentSession.token : null;
+
+      // Encrypt user data
+      try {
+        console.log('🔐 [SERVER] Starting AUTH_ME encryption process...');
+        const { encryptData } = require('./lib/encryption');
+        const dataToEncrypt = { user: userData, token };
+        console.log('🔐 [SERVER] AUTH_ME data to encrypt:', JSON.stringify(dataToEncrypt).substring(0, 100) + '...');
+
+        const encryptedData = await encryptData(dataToEncrypt);
+        console.log('🔐 [SERVER] AUTH_ME encryption successful:', {
+          hasEncrypted: !!encryptedData.encrypted,
+          hasIv: !!encryptedData.iv,
+          hasTag: !!encryptedData.tag,
+          encryptedLength: encryptedData.encrypted?.length || 0
+        });
+
+        sendJson(ws, {
+          type: 'AUTH_ME_RESPONSE',
+          success: true,
+          data: encryptedData,
+          encrypted: true
+        });
+
+        console.log('✅ [SERVER] AUTH_ME successful for user (encrypted):', user.username);
+      } catch (encryptError) {
+        console.error('❌ [SERVER] AUTH_ME encryption failed:', encryptError);
+        console.warn('⚠️ [SERVER] Sending unencrypted AUTH_ME data as fallback');
+
+        sendJson(ws, {
+          type: 'AUTH_ME_RESPONSE',
+          success: true,
+          data: { user: userData, token },
+          encrypted: false
+        });
+      }
+    } catch (err) {
+      console.error('❌ [SERVER] Error in AUTH_ME:', err);
+      sendJson(ws, {
+        type: 'AUTH_ME_RESPONSE',
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  async function handleAuthLogin(userId, payload, ws) {
+    try {
+      console.log('🔐 [SERVER] AUTH_LOGIN received, payload type:', typeof payload);
+      console.log('🔐 [SERVER] AUTH_LOGIN payload:', payload);
+
+      // Payload is already parsed from the WebSocket message
+      const { walletAddress, jwtToken } = payload;
+
+      console.log('🔐 [SERVER] Extracted values:', { 
+        walletAddress: walletAddress ? 'present' : 'missing', 
+        jwtToken: jwtToken ? 'present' : 'missing' 
+      });
+
+      if (typeof walletAddress !== 'string' || typeof jwtToken !== 'string' || !walletAddress || !jwtToken) {
+        sendJson(ws, {
+          type: 'AUTH_LOGIN_RESPONSE',
+          success: false,
+          error: 'Missing required fields'
+        });
+        return;
+      }
+
+      // Verify JWT token (simplified for now)
+      // In production, you'd properly verify the JWT signature
+      try {
+        console.log('🔐 [SERVER] Verifying JWT token:', jwtToken.substring(0, 50) + '...');
+
+        const tokenParts = jwtToken.split('.');
+        if (tokenParts.length !== 3) {
+          throw new Error('Invalid JWT format');
+        }
+
+        const tokenPayload = JSON.parse(atob(tokenParts[1]));
+        const now = Math.floor(Date.now() / 1000);
+
+        console.log('🔐 [SERVER] JWT payload:', tokenPayload);
+        console.log('🔐 [SERVER] Current time:', now, 'Token exp:', tokenPayload.exp);
+
+        if (tokenPayload.exp < now) {
+          throw new Error('JWT token expired');
+        }
+
+        if (tokenPayload.walletAddress !== walletAddress) {
+          throw new Error('JWT wallet address mismatch');
+        }
+
+        console.log('🔐 [SERVER] JWT token verified for wallet:', walletAddress);
+      } catch (jwtError) {
+        console.error('❌ [SERVER] JWT verification failed:', jwtError);
+        sendJson(ws, {
+          type: 'AUTH_LOGIN_RESPONSE',
+          success: false,
+          error: 'Invalid JWT token'
+        });
+        return;
+      }
+
+      // Find or create user
+      let user = await prisma.user.findUnique({
+        where: { walletAddress }
+      });
+
+      if (!user) {
+        // Create new user
+        user = await prisma.user.create({
+          data: {
+            walletAddress,
+            username: `user_${Date.now()}`,
+            displayName: `User ${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`,
+            role: 1,
+            isVerified: false,
+            status: 'online'
+          }
+        });
+      }
+
+      // Create session
+      const token = require('crypto').randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+      await prisma.session.create({
+        data: { token, userId: user.id, expiresAt }
+      });
+
+      // Get follower counts for the user
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: user.id } }),
+        prisma.follow.count({ where: { followerId: user.id } })
+      ]);
+
+      // Prepare user data
+      const userData = {
+        id: user.id,
+        walletAddress: user.walletAddress,
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role,
+        isAdmin: user.role === 0,
+        isVerified: user.isVerified,
+        avatarUrl: user.avatarUrl,
+        avatarBlob: user.avatarBlob,
+        bio: user.bio,
+        followerCount,
+        followingCount,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        twitterHandle: user.twitterHandle,
+        discordHandle: user.discordHandle,
+        twitchHandle: user.twitchHandle,
+        spotifyHandle: user.spotifyHandle,
+        status: user.status || 'online',
+        lastSeen: user.lastSeen
+      };
+
+      // Encrypt user data
+      try {
+        console.log('🔐 [SERVER] Starting encryption process...');
+        const { encryptData } = require('./lib/encryption');
+        const dataToEncrypt = { user: userData, token };
+        console.log('🔐 [SERVER] Data to encrypt:', JSON.stringify(dataToEncrypt).substring(0, 100) + '...');
+
+        const encryptedData = await encryptData(dataToEncrypt);
+        console.log('🔐 [SERVER] Encryption successful:', {
+          hasEncrypted: !!encryptedData.encrypted,
+          hasIv: !!encryptedData.iv,
+          hasTag: !!encryptedData.tag,
+          encryptedLength: encryptedData.encrypted?.length || 0
+        });
+
+        sendJson(ws, {
+          type: 'AUTH_LOGIN_RESPONSE',
+          success: true,
+          data: encryptedData,
+          encrypted: true
+        });
+
+        console.log('✅ [SERVER] AUTH_LOGIN successful for user (encrypted):', user.username);
+      } catch (encryptError) {
+        console.error('❌ [SERVER] Encryption failed:', encryptError);
+        console.warn('⚠️ [SERVER] Sending unencrypted data as fallback');
+
+        sendJson(ws, {
+          type: 'AUTH_LOGIN_RESPONSE',
+          success: true,
+          data: { user: userData, token },
+          encrypted: false
+        });
+      }
+    } catch (err) {
+      console.error('❌ [SERVER] Error in AUTH_LOGIN:', err);
+      sendJson(ws, {
+        type: 'AUTH_LOGIN_RESPONSE',
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+
+  function handlePing(userId, payload, ws) {
+    // Echo back with Layer4 Tek acknowledgment
+    const responsePayload = payload?.protocol === 'LAYER4_TEK' 
+      ? { ...payload, acknowledged: true, serverTime: Date.now() }
+      : payload || {};
+
+    ws.send(encodeFrame(SERVER_EVENTS.PONG, responsePayload, ws.requestId));
+    console.log('❤️ [SERVER] Layer4 Tek heartbeat acknowledged');
+  }
+
+  // Session token from the query string; connections without one may only authenticate
+  async function authenticateSocket(req) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const token = url.searchParams.get('token');
+
+    if (!token) {
+      console.log('🔐 [SERVER] WebSocket connection for authentication (no token provided)');
+      return { userId: null, username: 'Anonymous' };
+    }
+
+    const session = await prisma.session.findUnique({ 
+      where: { token }, 
+      include: { user: true } 
+    });
+    
+    if (!session || session.expiresAt < new Date()) {
+      console.log('❌ [SERVER] WebSocket connection rejected: Invalid or expired token', {
+        hasSession: !!session,
+        expiresAt: session?.expiresAt,
+        currentTime: new Date(),
+        token: token.substring(0, 10) + '...'
+      });
+      return null;
+    }
+
+    return {
+      userId: session.userId,
+      username: session.user.username || session.user.walletAddress
+    };
+  }
+
+  // Every client event the gateway routes - handlers are (userId, payload, ws)
+  function registerClientEvents() {
+    const roomError = { errorEvent: SERVER_EVENTS.ROOM_ERROR };
+
+    gateway.registerHandlers({
+      // Authentication operations
+      [CLIENT_EVENTS.AUTH_ME]: { handler: handleAuthMe, allowUnauthenticated: true },
+      [CLIENT_EVENTS.AUTH_LOGIN]: { handler: handleAuthLogin, allowUnauthenticated: true },
+      [CLIENT_EVENTS.PING]: { handler: handlePing, allowUnauthenticated: true },
+      [CLIENT_EVENTS.RESUME]: {
+        handler: handleResume,
+        errorEvent: SERVER_EVENTS.RESYNC_REQUIRED,
+        errorPayload: { reason: 'resume_failed' }
+      },
+
+      // Storage operations
+      [CLIENT_EVENTS.STORAGE_GET]: { handler: handleStorageGet, errorMessage: 'Failed to get storage item' },
+      [CLIENT_EVENTS.STORAGE_SET]: { handler: handleStorageSet, errorMessage: 'Failed to set storage item' },
+      [CLIENT_EVENTS.STORAGE_DELETE]: { handler: handleStorageDelete, errorMessage: 'Failed to delete storage item' },
+      [CLIENT_EVENTS.STORAGE_LIST]: { handler: handleStorageList, errorMessage: 'Failed to list storage items' },
+      [CLIENT_EVENTS.STORAGE_CLEAR]: { handler: handleStorageClear, errorMessage: 'Failed to clear storage' },
+
+      // Audio settings
+      [CLIENT_EVENTS.AUDIO_SETTINGS_GET]: { handler: handleAudioSettingsGet, errorMessage: 'Failed to get audio settings' },
+      [CLIENT_EVENTS.AUDIO_SETTINGS_SET]: { handler: handleAudioSettingsSet, errorMessage: 'Failed to set audio settings' },
+
+      // Messages
+      [CLIENT_EVENTS.SEND_MESSAGE]: { handler: handleSendMessage, errorMessage: 'Failed to send message' },
+      [CLIENT_EVENTS.EDIT_MESSAGE]: { handler: handleEditMessage, errorMessage: 'Failed to edit message' },
+      [CLIENT_EVENTS.DELETE_MESSAGE]: { handler: handleDeleteMessage, errorMessage: 'Failed to delete message' },
+      [CLIENT_EVENTS.FETCH_MESSAGE_EDITS]: { handler: handleFetchMessageEdits, errorMessage: 'Failed to fetch message edits' },
+      [CLIENT_EVENTS.FETCH_MESSAGES]: { handler: handleFetchMessages, errorMessage: 'Failed to fetch messages' },
+      [CLIENT_EVENTS.SEARCH_MESSAGES]: { handler: handleSearchMessages, errorMessage: 'Failed to search messages' },
+
+      // Threads
+      [CLIENT_EVENTS.FETCH_THREAD]: { handler: handleFetchThread, errorMessage: 'Failed to fetch thread' },
+      [CLIENT_EVENTS.FOLLOW_THREAD]: {
+        handler: (userId, payload, ws) => handleFollowThread(userId, payload, ws, true),
+        errorMessage: 'Failed to follow thread'
+      },
+      [CLIENT_EVENTS.UNFOLLOW_THREAD]: {
+        handler: (userId, payload, ws) => handleFollowThread(userId, payload, ws, false),
+        errorMessage: 'Failed to unfollow thread'
+      },
+      [CLIENT_EVENTS.FETCH_FOLLOWED_THREADS]: { handler: handleFetchFollowedThreads, errorMessage: 'Failed to fetch followed threads' },
+
+      // Pins
+      [CLIENT_EVENTS.PIN_MESSAGE]: {
+        handler: (userId, payload, ws) => handlePinMessage(userId, payload, ws, true),
+        errorMessage: 'Failed to pin message'
+      },
+      [CLIENT_EVENTS.UNPIN_MESSAGE]: {
+        handler: (userId, payload, ws) => handlePinMessage(userId, payload, ws, false),
+        errorMessage: 'Failed to unpin message'
+      },
+      [CLIENT_EVENTS.FETCH_PINS]: { handler: handleFetchPins, errorMessage: 'Failed to fetch pins' },
+
+      // Channels, typing and read state
+      [CLIENT_EVENTS.JOIN_CHANNEL]: { handler: handleJoinChannel },
+      [CLIENT_EVENTS.START_TYPING]: { handler: handleStartTyping },
+      [CLIENT_EVENTS.STOP_TYPING]: { handler: handleStopTyping },
+      [CLIENT_EVENTS.FETCH_CHANNELS]: { handler: handleFetchChannels, errorMessage: 'Failed to fetch channels' },
+      [CLIENT_EVENTS.MARK_AS_READ]: { handler: handleMarkAsRead },
+      [CLIENT_EVENTS.MARK_CHANNEL_READ]: { handler: handleMarkChannelRead, errorMessage: 'Failed to mark channel as read' },
+      [CLIENT_EVENTS.SET_SLOW_MODE]: { handler: handleSetSlowMode, errorMessage: 'Failed to update slow mode' },
+
+      // Reactions
+      [CLIENT_EVENTS.ADD_REACTION]: { handler: handleAddReaction, errorMessage: 'Failed to add reaction' },
+      [CLIENT_EVENTS.REMOVE_REACTION]: { handler: handleRemoveReaction, errorMessage: 'Failed to remove reaction' },
+
+      // Social features
+      [CLIENT_EVENTS.FOLLOW_USER]: { handler: handleFollowUser, errorMessage: 'Failed to follow user' },
+      [CLIENT_EVENTS.UNFOLLOW_USER]: { handler: handleUnfollowUser, errorMessage: 'Failed to unfollow user' },
+      [CLIENT_EVENTS.SEND_POKE]: { handler: handleSendPoke, errorMessage: 'Failed to send poke' },
+      [CLIENT_EVENTS.GET_USER_STATUS]: { handler: handleGetUserStatus, errorMessage: 'Failed to get user status' },
+      [CLIENT_EVENTS.CHECK_FOLLOW_STATUS]: { handler: handleCheckFollowStatus, errorMessage: 'Failed to check follow status' },
+      [CLIENT_EVENTS.GET_USER_STATS]: { handler: handleGetUserStats, errorMessage: 'Failed to get user stats' },
+
+      // Rooms
+      [CLIENT_EVENTS.CREATE_ROOM]: { handler: handleCreateRoom, errorMessage: 'Failed to create room', ...roomError },
+      [CLIENT_EVENTS.JOIN_ROOM]: { handler: handleJoinRoom, errorMessage: 'Failed to join room', ...roomError },
+      [CLIENT_EVENTS.LEAVE_ROOM]: { handler: handleLeaveRoom, errorMessage: 'Failed to leave room', ...roomError },
+      [CLIENT_EVENTS.GET_ROOM_INFO]: { handler: handleGetRoomInfo, errorMessage: 'Failed to get room info', ...roomError },
+      [CLIENT_EVENTS.CREATE_ROOM_INVITE]: { handler: handleCreateRoomInvite, errorMessage: 'Failed to create room invite', ...roomError },
+      [CLIENT_EVENTS.USE_ROOM_INVITE]: { handler: handleUseRoomInvite, errorMessage: 'Failed to use room invite', ...roomError },
+      [CLIENT_EVENTS.LIST_ROOM_INVITES]: { handler: handleListRoomInvites, errorMessage: 'Failed to list room invites', ...roomError },
+      [CLIENT_EVENTS.REVOKE_ROOM_INVITE]: { handler: handleRevokeRoomInvite, errorMessage: 'Failed to revoke room invite', ...roomError },
+      [CLIENT_EVENTS.REQUEST_TO_JOIN_ROOM]: { handler: handleRequestToJoinRoom, errorMessage: 'Failed to request to join room', ...roomError },
+      [CLIENT_EVENTS.FETCH_ROOM_JOIN_REQUESTS]: { handler: handleFetchRoomJoinRequests, errorMessage: 'Failed to fetch join requests', ...roomError },
+      [CLIENT_EVENTS.APPROVE_JOIN_REQUEST]: { handler: handleApproveJoinRequest, errorMessage: 'Failed to approve join request', ...roomError },
+      [CLIENT_EVENTS.DENY_JOIN_REQUEST]: { handler: handleDenyJoinRequest, errorMessage: 'Failed to deny join request', ...roomError },
+      [CLIENT_EVENTS.GET_USER_ROOMS]: { handler: handleGetUserRooms, errorMessage: 'Failed to get user rooms', ...roomError },
+      [CLIENT_EVENTS.SEARCH_ROOMS]: { handler: handleSearchRooms, errorMessage: 'Failed to search rooms', ...roomError },
+      [CLIENT_EVENTS.KICK_MEMBER]: { handler: handleKickMember, errorMessage: 'Failed to kick member', ...roomError },
+      [CLIENT_EVENTS.BAN_MEMBER]: { handler: handleBanMember, errorMessage: 'Failed to ban member', ...roomError },
+      [CLIENT_EVENTS.TIMEOUT_MEMBER]: { handler: handleTimeoutMember, errorMessage: 'Failed to time out member', ...roomError },
+      [CLIENT_EVENTS.UNBAN_MEMBER]: { handler: handleUnbanMember, errorMessage: 'Failed to unban member', ...roomError },
+      [CLIENT_EVENTS.SET_MEMBER_ROLE]: { handler: handleSetMemberRole, errorMessage: 'Failed to change member role', ...roomError },
+      [CLIENT_EVENTS.TRANSFER_ROOM_OWNERSHIP]: { handler: handleTransferRoomOwnership, errorMessage: 'Failed to transfer room ownership', ...roomError },
+      [CLIENT_EVENTS.SET_PERMISSION_OVERRIDES]: { handler: handleSetPermissionOverrides, errorMessage: 'Failed to update permissions', ...roomError },
+      [CLIENT_EVENTS.FETCH_ROOM_AUDIT_LOG]: { handler: handleFetchRoomAuditLog, errorMessage: 'Failed to fetch audit log', ...roomError },
+      [CLIENT_EVENTS.UPDATE_ROOM]: { handler: handleUpdateRoom, errorMessage: 'Failed to update room', ...roomError },
+      [CLIENT_EVENTS.ARCHIVE_ROOM]: { handler: handleArchiveRoom, errorMessage: 'Failed to archive room', ...roomError },
+      [CLIENT_EVENTS.DELETE_ROOM]: { handler: handleDeleteRoom, errorMessage: 'Failed to delete room', ...roomError },
+      [CLIENT_EVENTS.SET_STAKING_GATE]: { handler: handleSetStakingGate, errorMessage: 'Failed to update staking gate', ...roomError },
+      [CLIENT_EVENTS.CREATE_CHANNEL]: { handler: handleCreateChannel, errorMessage: 'Failed to create channel', ...roomError },
+      [CLIENT_EVENTS.UPDATE_CHANNEL]: { handler: handleUpdateChannel, errorMessage: 'Failed to update channel', ...roomError },
+      [CLIENT_EVENTS.DELETE_CHANNEL]: { handler: handleDeleteChannel, errorMessage: 'Failed to delete channel', ...roomError },
+      [CLIENT_EVENTS.REORDER_CHANNELS]: { handler: handleReorderChannels, errorMessage: 'Failed to reorder channels', ...roomError },
+      [CLIENT_EVENTS.CREATE_CHANNEL_CATEGORY]: { handler: handleCreateChannelCategory, errorMessage: 'Failed to create category', ...roomError },
+      [CLIENT_EVENTS.UPDATE_CHANNEL_CATEGORY]: { handler: handleUpdateChannelCategory, errorMessage: 'Failed to update category', ...roomError },
+      [CLIENT_EVENTS.DELETE_CHANNEL_CATEGORY]: { handler: handleDeleteChannelCategory, errorMessage: 'Failed to delete category', ...roomError },
+      [CLIENT_EVENTS.FOLLOW_CHANNEL]: { handler: handleFollowChannel, errorMessage: 'Failed to follow channel', ...roomError },
+      [CLIENT_EVENTS.UNFOLLOW_CHANNEL]: { handler: handleUnfollowChannel, errorMessage: 'Failed to unfollow channel', ...roomError },
+      [CLIENT_EVENTS.FETCH_CHANNEL_FOLLOWS]: { handler: handleFetchChannelFollows, errorMessage: 'Failed to load followed channels', ...roomError },
+
+      // DM features
+      [CLIENT_EVENTS.CREATE_DM]: { handler: handleCreateDM, errorMessage: 'Failed to create DM' }
+    });
+  }
+
+  registerClientEvents();
+
+  gateway.on('connection', async (connection) => {
+    const { userId, username, socket: ws } = connection;
+
+    // Users may hold several sockets (tabs, devices); the oldest ones go past the per-user limit
+    if (userId) {
+      const isFirstSocket = !connections.has(userId);
+      const evicted = addConnection(userId, ws);
+      evicted.forEach(existingConnection => {
+        console.log('⚠️ [SERVER] Per-user connection limit reached, closing oldest connection', {
+          userId,
+          existingReadyState: existingConnection.readyState,
+          limit: websocketConfig.performance.maxConnectionsPerUser
+        });
+        existingConnection.close(1000, 'Connection limit reached');
+      });
+
+      if (isFirstSocket) {
+        eventBus.publish('presence', { userId, status: 'online' });
+      }
+    }
+
+    console.log('✅ [SERVER] WebSocket connected for user:', {
+      userId,
+      username,
+      connectionId: connection.id,
+      userConnections: connections.get(userId)?.size || 0,
+      totalConnections: countSockets(),
+      timestamp: new Date().toISOString()
+    });
+
+    if (!userId) return;
+
+    try {
+      await updateUserPresence(userId, 'online');
+
+      ws.send(encodeFrame(SERVER_EVENTS.USER_STATUS_CHANGED, { 
+        userId, 
+        status: 'online' 
+      }, ws.requestId));
+
+      // Clients keep streamId + the highest seq they saw and send them back in RESUME
+      const stream = await eventStream.openStream(userId);
+      ws.send(encodeFrame(SERVER_EVENTS.STREAM_STARTED, stream, ws.requestId));
+    } catch (error) {
+      console.error('❌ [SERVER] Error setting up connection:', error);
+    }
+  });
+
+  gateway.on('disconnection', (connection, reason) => {
+    const { userId, username } = connection;
+    console.log('🔌 [SERVER] WebSocket disconnected:', {
+      userId,
+      username,
+      reason,
+      connectionAge: Date.now() - connection.metadata.connectedAt,
+      totalConnections: countSockets(),
+      timestamp: new Date().toISOString()
+    });
+
+    // Only the user's last socket closing takes them offline - on every instance
+    if (userId && removeConnection(userId, connection.socket)) {
+      eventBus.publish('presence', { userId, status: 'offline' });
+      if (!isUserOnline(userId)) {
+        updateUserPresence(userId, 'offline');
+      }
+    }
+  });
+
+  // Keep the replay buffer live while any socket for the user heartbeats
+  gateway.on('heartbeat', (connection) => {
+    if (!connection.userId) return;
+    eventStream.touchStream(connection.userId).catch(error => {
+      console.error('❌ [SERVER] Error refreshing event stream:', error);
+    });
+  });
+
+  // Social features handlers
+  async function handleFollowUser(userId, payload, ws) {
+    try {
+      const { targetUserId } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      if (userId === targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Cannot follow yourself');
+        return;
+      }
+
+      // Check if follow relationship already exists
+      const existingFollow = await prisma.follow.findFirst({
+        where: {
+          followerId: userId,
+          followingId: targetUserId
+        }
+      });
+
+      if (existingFollow) {
+        sendError(ws, ERROR_CODES.CONFLICT, 'Already following this user');
+        return;
+      }
+
+      // Create follow relationship
+      await prisma.follow.create({
+        data: {
+          followerId: userId,
+          followingId: targetUserId
+        }
+      });
+
+      // Get follower's display name for notification
+      const follower = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { displayName: true, username: true }
+      });
+
+      const followerName = follower?.displayName || follower?.username || 'Someone';
+
+      // Create notification for the target user
+      await prisma.notification.create({
+        data: {
+          userId: targetUserId,
+          type: 'follow',
+          title: 'New Follower',
+          message: `${followerName} started following you!`,
+          data: { fromUserId: userId, fromUserName: followerName }
+        }
+      });
+
+      // Get updated follower counts for both users
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: targetUserId } }),
+        prisma.follow.count({ where: { followerId: targetUserId } })
+      ]);
+
+      // Send success response with updated counts
+      ws.send(encodeFrame(SERVER_EVENTS.FOLLOW_SUCCESS, { 
+        targetUserId,
+        followerCount,
+        followingCount 
+      }, ws.requestId));
+
+      // Notify target user if they're online
+      await sendToUser(targetUserId, SERVER_EVENTS.NOTIFICATION_RECEIVED, {
+        type: 'follow',
+        title: 'New Follower',
+        message: `${followerName} started following you!`,
+        fromUserId: userId,
+        fromUserName: followerName,
+        followerCount,
+        followingCount
+      });
+
+      console.log('✅ [SOCIAL] User followed:', { fromUserId: userId, toUserId: targetUserId, followerCount, followingCount });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleFollowUser:', error);
+      throw error;
+    }
+  }
+
+  async function handleUnfollowUser(userId, payload, ws) {
+    try {
+      const { targetUserId } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      // Delete follow relationship
+      const deletedFollow = await prisma.follow.deleteMany({
+        where: {
+          followerId: userId,
+          followingId: targetUserId
+        }
+      });
+
+      if (deletedFollow.count === 0) {
+        sendError(ws, ERROR_CODES.CONFLICT, 'Not following this user');
+        return;
+      }
+
+      // Get updated follower counts for the target user
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: targetUserId } }),
+        prisma.follow.count({ where: { followerId: targetUserId } })
+      ]);
+
+      // Send success response with updated counts
+      ws.send(encodeFrame(SERVER_EVENTS.UNFOLLOW_SUCCESS, { 
+        targetUserId,
+        followerCount,
+        followingCount 
+      }, ws.requestId));
+
+      console.log('✅ [SOCIAL] User unfollowed:', { fromUserId: userId, toUserId: targetUserId, followerCount, followingCount });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleUnfollowUser:', error);
+      throw error;
+    }
+  }
+
+  async function handleSendPoke(userId, payload, ws) {
+    try {
+      const { targetUserId, message } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      if (userId === targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Cannot poke yourself');
+        return;
+      }
+
+      // Create poke
+      const poke = await prisma.poke.create({
+        data: {
+          fromUserId: userId,
+          toUserId: targetUserId,
+          message: message || null
+        }
+      });
+
+      // Create notification for the target user
+      await prisma.notification.create({
+        data: {
+          userId: targetUserId,
+          type: 'poke',
+          title: 'You got poked!',
+          message: message || 'Someone poked you!',
+          data: { fromUserId: userId, pokeId: poke.id }
+        }
+      });
+
+      // Send success response
+      ws.send(encodeFrame(SERVER_EVENTS.POKE_SENT, { targetUserId, pokeId: poke.id }, ws.requestId));
+
+      // Notify target user if they're online
+      await sendToUser(targetUserId, SERVER_EVENTS.POKE_RECEIVED, {
+        fromUserId: userId,
+        message: message || 'Someone poked you!',
+        pokeId: poke.id
+      });
+
+      console.log('✅ [SOCIAL] Poke sent:', { fromUserId: userId, toUserId: targetUserId, message });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleSendPoke:', error);
+      throw error;
+    }
+  }
+
+  async function handleGetUserStatus(userId, payload, ws) {
+    try {
+      const { targetUserId } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      // Check if target user is connected to any channel
+      const isOnline = isUserOnline(targetUserId);
+      
+      // Get user's last seen time
+      const user = await prisma.user.findUnique({
+        where: { id: targetUserId },
+        select: { lastSeen: true, status: true }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.USER_STATUS_RESPONSE, {
+        targetUserId,
+        isOnline,
+        lastSeen: user?.lastSeen,
+        status: user?.status || 'offline'
+      }, ws.requestId));
+
+      console.log('✅ [SOCIAL] User status retrieved:', { targetUserId, isOnline });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleGetUserStatus:', error);
+      throw error;
+    }
+  }
+
+  // Handle check follow status
+  async function handleCheckFollowStatus(userId, payload, ws) {
+    try {
+      const { targetUserId } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      // Check if current user follows target user
+      const isFollowing = await prisma.follow.findFirst({
+        where: {
+          followerId: userId,
+          followingId: targetUserId
+        }
+      });
+
+      // Check if target user follows current user
+      const isFollowedBy = await prisma.follow.findFirst({
+        where: {
+          followerId: targetUserId,
+          followingId: userId
+        }
+      });
+
+      // Get follower counts for the target user
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: targetUserId } }),
+        prisma.follow.count({ where: { followerId: targetUserId } })
+      ]);
+
+      ws.send(encodeFrame(SERVER_EVENTS.FOLLOW_STATUS_RESPONSE, {
+        targetUserId,
+        isFollowing: !!isFollowing,
+        isFollowedBy: !!isFollowedBy,
+        followerCount,
+        followingCount
+      }, ws.requestId));
+
+      console.log('✅ [SOCIAL] Follow status checked:', { targetUserId, isFollowing: !!isFollowing, isFollowedBy: !!isFollowedBy, followerCount, followingCount });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleCheckFollowStatus:', error);
+      throw error;
+    }
+  }
+
+  // Handle get user stats
+  async function handleGetUserStats(userId, payload, ws) {
+    try {
+      const { targetUserId } = payload;
+      
+      if (!targetUserId) {
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
+        return;
+      }
+
+      // Get follower counts for the target user
+      const [followerCount, followingCount] = await Promise.all([
+        prisma.follow.count({ where: { followingId: targetUserId } }),
+        prisma.follow.count({ where: { followerId: targetUserId } })
+      ]);
+
+      ws.send(encodeFrame(SERVER_EVENTS.USER_STATS_RESPONSE, {
+        targetUserId,
+        followerCount,
+        followingCount
+      }, ws.requestId));
+
+      console.log('✅ [SOCIAL] User stats retrieved:', { targetUserId, followerCount, followingCount });
+    } catch (error) {
+      console.error('❌ [SOCIAL] Error in handleGetUserStats:', error);
+      throw error;
+    }
+  }
+
+  // Room handlers
+  async function handleCreateRoom(userId, payload, ws) {
+    try {
+      const { name, description, privacy = 1 } = payload;
+      
+      if (!name) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Room name is required');
+        return;
+      }
+
+      // Check user's role and room creation limits
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { role: true }
+      });
+
+      if (!user) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'User not found');
+        return;
+      }
+
+      // Check room creation limits based on role
+      const userRoomCount = await prisma.room.count({
+        where: { createdBy: userId }
+      });
+
+      const maxRooms = hasPermission(getUserPermissions(user.role), PERMISSIONS.UNLIMITED_ROOMS) ? Infinity : 2; // Admin/Dev: unlimited, Member/Moderator: 2
+      
+      if (userRoomCount >= maxRooms) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, `You can only create ${maxRooms} rooms. Upgrade your role for more rooms.`);
+        return;
+      }
+
+      // Generate unique ID for all rooms
+      const uniqueId = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+
+      // Create room
+      const room = await prisma.room.create({
+        data: {
+          name,
+          description,
+          privacy,
+          uniqueId,
+          createdByUser: {
+            connect: { id: userId }
+          }
+        },
+        include: {
+          createdByUser: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+          }
+        }
+      });
+
+      // Create associated channel
+      const channel = await prisma.channel.create({
+        data: {
+          name: name,
+          type: 'text-group',
+          createdBy: userId,
+          roomId: room.id,
+          isPrivate: privacy === 0
+        }
+      });
+
+      // Add creator as room member with OWNER role
+      await prisma.roomMember.create({
+        data: {
+          roomId: room.id,
+          userId: userId,
+          role: 'OWNER'
+        }
+      });
+
+      // Add creator as channel member
+      await prisma.channelMember.create({
+        data: {
+          channelId: channel.id,
+          userId: userId
+        }
+      });
+
+      // Get the room with member data for the response
+      const roomWithMembers = await prisma.room.findUnique({
+        where: { id: room.id },
+        include: {
+          members: {
+            select: {
+              userId: true,
+              role: true
+            }
+          }
+        }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_CREATED, {
+        room: {
+          ...room,
+          channelId: channel.id,
+          room: roomWithMembers
+        }
+      }, ws.requestId));
+
+      await recordRoomAudit({
+        roomId: room.id,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ROOM_CREATED,
+        targetId: channel.id,
+        metadata: { name, privacy }
+      });
+
+      console.log('✅ [ROOM] Room created:', { roomId: room.id, name, privacy });
+      
+      // AGGRESSIVE CACHE INVALIDATION - Clear ALL channel caches
+      clearAllChannelCaches('room creation');
+
+      // Invalidate public channels cache if this is a public room
+      if (privacy === 1) {
+        redis.del('channels:public').then(() => {
+          console.log('🗑️ [CACHE] Invalidated public channels cache for new public room');
+        }).catch(error => {
+          console.error('❌ [CACHE] Failed to invalidate public channels cache:', error);
+        });
+        
+        // Also invalidate all user caches since they need to see the new public room
+        redis.keys('channels:user:*').then(keys => {
+          if (keys.length > 0) {
+            redis.del(...keys).then(() => {
+              console.log('🗑️ [CACHE] Invalidated all user caches for new public room');
+            }).catch(error => {
+              console.error('❌ [CACHE] Failed to invalidate user caches:', error);
+            });
+          }
+        }).catch(error => {
+          console.error('❌ [CACHE] Failed to get user cache keys:', error);
+        });
+      }
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleCreateRoom:', error);
+      throw error;
+    }
+  }
+
+  async function handleJoinRoom(userId, payload, ws) {
+    try {
+      const { roomId, inviteCode } = payload;
+      
+      if (!roomId) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Room ID is required');
+        return;
+      }
+
+      // Get room details
+      const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        include: {
+          createdByUser: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+          },
+          channels: { orderBy: POSITION_ORDER }
+        }
+      });
+
+      if (!room) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found');
+        return;
+      }
+
+      if (!room.isActive) {
+        sendRoomError(ws, ERROR_CODES.ROOM_INACTIVE, 'Room is not active');
+        return;
+      }
+
+      const ban = await getActiveRoomBan(roomId, userId);
+      if (ban) {
+        sendRoomError(ws, ERROR_CODES.BANNED, 'You are banned from this room', { expiresAt: ban.expiresAt });
+        return;
+      }
+
+      const stakingFailure = await checkStakingGate(room.stakingGate, userId);
+      if (stakingFailure) {
+        sendRoomError(ws, ERROR_CODES.STAKING_REQUIRED, stakingFailure, { gate: normalizeStakingGate(room.stakingGate) });
+        return;
+      }
+
+      // Check if user is already a member
+      const existingMember = await prisma.roomMember.findFirst({
+        where: { roomId, userId }
+      });
+
+      if (existingMember) {
+        sendRoomError(ws, ERROR_CODES.ALREADY_MEMBER, 'You are already a member of this room');
+        return;
+      }
+
+      // Check privacy and invite code
+      let invite = null;
+      if (room.privacy === 0) {
+        if (!inviteCode) {
+          sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, 'Invite code is required for private rooms');
+          return;
+        }
+        
+        // Validate invite code
+        invite = await prisma.roomInvite.findFirst({
+          where: { roomId, inviteCode }
+        });
+
+        if (!invite) {
+          sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, 'Invalid or expired invite code');
+          return;
+        }
+
+        const inviteStatus = getInviteStatus(invite);
+        if (inviteStatus !== 'ACTIVE') {
+          sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, INVITE_STATUS_MESSAGES[inviteStatus]);
+          return;
+        }
+      }
+
+      // Check room capacity
+      const memberCount = await prisma.roomMember.count({
+        where: { roomId }
+      });
+
+      if (memberCount >= room.maxMembers) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, 'Room is full');
+        return;
+      }
+
+      // Add user as room and channel member, spending one use of the invite
+      const joined = await prisma.$transaction(async (tx) => {
+        if (invite && !(await redeemInvite(tx, invite, userId))) {
+          return false;
+        }
+
+        await tx.roomMember.create({
+          data: {
+            roomId: room.id,
+            userId: userId,
+            role: 'MEMBER'
+          }
+        });
+
+        await addToRoomChannels(tx, room.id, userId);
+        return true;
+      });
+
+      if (!joined) {
+        sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, INVITE_STATUS_MESSAGES.EXHAUSTED);
+        return;
+      }
+
+      if (invite) {
+        await recordRoomAudit({
+          roomId,
+          actorId: userId,
+          action: AUDIT_ACTIONS.INVITE_USED,
+          targetId: invite.id,
+          metadata: { invitedBy: invite.invitedBy, useCount: invite.useCount + 1 }
+        });
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_JOINED, {
+        room: {
+          ...room,
+          channelId: room.channels[0]?.id || null
+        }
+      }, ws.requestId));
+
+      console.log('✅ [ROOM] User joined room:', { roomId, userId });
+      
+      // Clear caches after joining room
+      clearAllChannelCaches('user joined room');
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleJoinRoom:', error);
+      throw error;
+    }
+  }
+
+  async function handleLeaveRoom(userId, payload, ws) {
+    try {
+      const { roomId } = payload;
+      
+      if (!roomId) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Room ID is required');
+        return;
+      }
+
+      // Check if user is a member
+      const roomMember = await prisma.roomMember.findFirst({
+        where: { roomId, userId },
+        include: { room: true }
+      });
+
+      if (!roomMember) {
+        sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'You are not a member of this room');
+        return;
+      }
+
+      // Leaving and handing over ownership commit together - a room never goes without an owner
+      const successor = await prisma.$transaction(async (tx) => {
+        await tx.roomMember.delete({
+          where: { id: roomMember.id }
+        });
+        await removeFromRoomChannels(tx, roomId, userId);
+
+        return roomMember.role === 'OWNER' ? promoteRoomSuccessor(tx, roomId) : null;
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_LEFT, { roomId }, ws.requestId));
+
+      await broadcastToRoom(roomId, SERVER_EVENTS.USER_LEFT, {
+        userId,
+        roomId,
+        action: 'leave'
+      });
+
+      if (successor) {
+        await broadcastRoomMemberUpdate(roomMember.room, {
+          userId: successor.userId,
+          action: 'role',
+          role: 'OWNER',
+          previousRole: successor.role,
+          moderatorId: null
+        });
+
+        await recordRoomAudit({
+          roomId,
+          action: AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED,
+          targetUserId: successor.userId,
+          metadata: { previousOwnerId: userId, previousRole: successor.role, reason: 'succession' }
+        });
+      }
+
+      console.log('✅ [ROOM] User left room:', { roomId, userId, successorId: successor?.userId });
+      
+      // Clear caches after leaving room
+      clearAllChannelCaches('user left room');
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleLeaveRoom:', error);
+      throw error;
+    }
+  }
+
+  async function handleGetRoomInfo(userId, payload, ws) {
+    try {
+      const { roomId } = payload;
+      
+      if (!roomId) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Room ID is required');
+        return;
+      }
+
+      const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        include: {
+          createdByUser: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+          },
+          channels: { orderBy: POSITION_ORDER },
+          members: {
+            include: {
+              user: {
+                select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+              }
+            }
+          }
+        }
+      });
+
+      if (!room) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found');
+        return;
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_INFO_RESPONSE, { room }, ws.requestId));
+
+      console.log('✅ [ROOM] Room info retrieved:', { roomId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleGetRoomInfo:', error);
+      throw error;
+    }
+  }
+
+  async function handleGetUserRooms(userId, payload, ws) {
+    try {
+      const rooms = await prisma.room.findMany({
+        where: {
+          members: {
+            some: { userId }
+          }
+        },
+        include: {
+          createdByUser: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+          },
+          channels: { orderBy: POSITION_ORDER },
+          _count: {
+            select: { members: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.USER_ROOMS_RESPONSE, { rooms }, ws.requestId));
+
+      console.log('✅ [ROOM] User rooms retrieved:', { userId, count: rooms.length });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleGetUserRooms:', error);
+      throw error;
+    }
+  }
+
+  async function handleSearchRooms(userId, payload, ws) {
+    try {
+      const { query } = payload;
+      
+      console.log('🔍 [SEARCH] Search request:', { userId, query, queryLength: query?.length });
+      console.log('🔍 [SEARCH] Full payload:', payload);
+      
+      // Check if query looks like an invite code (alphanumeric, 20+ chars)
+      const isInviteCode = /^[a-zA-Z0-9]{20,}$/.test(query);
+      
+      let rooms = [];
+      let users = [];
+      
+      if (isInviteCode) {
+        // Search for room by invite code
+        const invite = await prisma.roomInvite.findFirst({
+          where: {
+            inviteCode: query,
+            ...activeInviteWhere()
+          },
+          include: {
+            room: {
+              include: {
+                createdByUser: {
+                  select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+                },
+                _count: {
+                  select: { members: true }
+                }
+              }
+            }
+          }
+        });
+        
+        if (invite && getInviteStatus(invite) === 'ACTIVE') {
+          rooms = [invite.room];
+        }
+      } else {
+        // Search for both public and private rooms
+        // Public rooms: show all
+        // Private rooms: show all in search results
+        console.log('🔍 [SEARCH] Searching with query:', query || 'EMPTY_QUERY');
+        
+        // Check total counts
+        const totalPublicRooms = await prisma.room.count({
+          where: { privacy: 1, isActive: true }
+        });
+        console.log('🔍 [SEARCH] Total public rooms in database:', totalPublicRooms);
+        
+        const publicRooms = await prisma.room.findMany({
+          where: {
+            AND: [
+              { privacy: 1 }, // Public rooms
+              { isActive: true },
+              ...(query && query.trim() ? [{
+                OR: [
+                  { name: { contains: query, mode: 'insensitive' } },
+                  { description: { contains: query, mode: 'insensitive' } }
+                ]
+              }] : [])
+            ]
+          },
+          include: {
+            createdByUser: {
+              select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+            },
+            _count: {
+              select: { members: true }
+            }
+          },
+          orderBy: { createdAt: 'desc' },
+          take: 10
+        });
+
+        // Private rooms: show all private rooms in search results
+        console.log('🔍 [SEARCH] Searching private rooms with query:', query);
+        
+        // First, let's check if there are any private rooms at all
+        const totalPrivateRooms = await prisma.room.count({
+          where: { privacy: 0, isActive: true }
+        });
+        console.log('🔍 [SEARCH] Total private rooms in database:', totalPrivateRooms);
+        
+        const privateRooms = await prisma.room.findMany({
+          where: {
+            AND: [
+              { privacy: 0 }, // Private rooms
+              { isActive: true },
+              ...(query && query.trim() ? [{
+                OR: [
+                  { name: { contains: query, mode: 'insensitive' } },
+                  { description: { contains: query, mode: 'insensitive' } }
+                ]
+              }] : [])
+            ]
+          },
+          include: {
+            createdByUser: {
+              select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+            },
+            _count: {
+              select: { members: true }
+            }
+          },
+          orderBy: { createdAt: 'desc' },
+          take: 10
+        });
+        
+        console.log('🔍 [SEARCH] Private rooms found:', privateRooms.length, privateRooms.map(r => ({ id: r.id, name: r.name, privacy: r.privacy })));
+
+        // Search for users
+        if (query && query.trim().length > 0) {
+          users = await prisma.user.findMany({
+            where: {
+              AND: [
+                { id: { not: userId } }, // Don't include current user
+                {
+                  OR: [
+                    { username: { contains: query, mode: 'insensitive' } },
+                    { displayName: { contains: query, mode: 'insensitive' } }
+                  ]
+                }
+              ]
+            },
+            select: {
+              id: true,
+              username: true,
+              displayName: true,
+              avatarUrl: true,
+              role: true,
+              status: true,
+              lastSeen: true
+            },
+            orderBy: { lastSeen: 'desc' },
+            take: 10
+          });
+        }
+
+        rooms = [...publicRooms, ...privateRooms];
+        console.log('🔍 [SEARCH] Final results:', { 
+          publicRooms: publicRooms.length, 
+          privateRooms: privateRooms.length, 
+          totalRooms: rooms.length,
+          users: users.length 
+        });
+      }
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOMS_SEARCH_RESPONSE, { rooms, users }, ws.requestId));
+
+      console.log('✅ [ROOM] Search completed:', { query, isInviteCode, roomsCount: rooms.length, usersCount: users.length });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleSearchRooms:', error);
+      throw error;
+    }
+  }
+
+  async function handleUseRoomInvite(userId, payload, ws) {
+    try {
+      const { inviteCode } = payload;
+      
+      console.log('🔍 [USE_INVITE] Processing invite code:', { userId, inviteCode, payload });
+      
+      if (!inviteCode) {
+        console.log('❌ [USE_INVITE] No invite code provided');
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Invite code is required');
+        return;
+      }
+
+      // Find the invite
+      console.log('🔍 [USE_INVITE] Searching for invite with code:', inviteCode);
+      const invite = await prisma.roomInvite.findFirst({
+        where: { inviteCode },
+        include: {
+          room: {
+            include: {
+              channels: { orderBy: POSITION_ORDER },
+              createdByUser: {
+                select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+              }
+            }
+          }
+        }
+      });
+
+      console.log('🔍 [USE_INVITE] Invite found:', invite ? { 
+        id: invite.id, 
+        roomId: invite.roomId, 
+        useCount: invite.useCount,
+        maxUses: invite.maxUses,
+        expiresAt: invite.expiresAt,
+        inviteCode: invite.inviteCode
+      } : 'null');
+
+      if (!invite) {
+        console.log('❌ [USE_INVITE] Invalid or expired invite code - no invite found');
+        sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, 'Invalid or expired invite code', { type: 'INVALID_INVITE_CODE' });
+        return;
+      }
+
+      if (!invite.room.isActive) {
+        sendRoomError(ws, ERROR_CODES.ROOM_INACTIVE, 'Room is not active', { type: 'ROOM_INACTIVE' });
+        return;
+      }
+
+      // Revoked, expired and used-up invites can't be redeemed
+      const inviteStatus = getInviteStatus(invite);
+      if (inviteStatus !== 'ACTIVE') {
+        console.log('❌ [USE_INVITE] Invite code is not usable:', inviteStatus);
+        sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, INVITE_STATUS_MESSAGES[inviteStatus], { type: 'INVALID_INVITE_CODE' });
+        return;
+      }
+
+      // Validate room and channel exist
+      if (!invite.room) {
+        console.log('❌ [USE_INVITE] Room not found for invite');
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found', { type: 'INVALID_INVITE_CODE' });
+        return;
+      }
+
+      if (invite.room.channels.length === 0) {
+        console.log('❌ [USE_INVITE] Channel not found for room');
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Channel not found', { type: 'INVALID_INVITE_CODE' });
+        return;
+      }
+
+      const ban = await getActiveRoomBan(invite.roomId, userId);
+      if (ban) {
+        console.log('❌ [USE_INVITE] User is banned from this room');
+        sendRoomError(ws, ERROR_CODES.BANNED, 'You are banned from this room', { expiresAt: ban.expiresAt, type: 'BANNED' });
+        return;
+      }
+
+      const stakingFailure = await checkStakingGate(invite.room.stakingGate, userId);
+      if (stakingFailure) {
+        console.log('❌ [USE_INVITE] User does not meet the room staking gate');
+        sendRoomError(ws, ERROR_CODES.STAKING_REQUIRED, stakingFailure, {
+          gate: normalizeStakingGate(invite.room.stakingGate),
+          type: 'STAKING_REQUIRED'
+        });
+        return;
+      }
+
+      // Check if user is already a member
+      const existingMember = await prisma.roomMember.findFirst({
+        where: { roomId: invite.roomId, userId }
+      });
+
+      if (existingMember) {
+        console.log('❌ [USE_INVITE] User already a member of this room');
+        sendRoomError(ws, ERROR_CODES.ALREADY_MEMBER, 'You are already a member of this room', { type: 'ALREADY_MEMBER' });
+        return;
+      }
+
+      // Check room capacity
+      const memberCount = await prisma.roomMember.count({
+        where: { roomId: invite.roomId }
+      });
+
+      if (memberCount >= invite.room.maxMembers) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, 'Room is full');
+        return;
+      }
+
+      // Add user as room and channel member, spending one use of the invite
+      const defaultChannelId = invite.room.channels[0].id;
+      console.log('🔍 [USE_INVITE] Adding user as room member:', { roomId: invite.roomId, channelId: defaultChannelId, userId });
+      const joined = await prisma.$transaction(async (tx) => {
+        if (!(await redeemInvite(tx, invite, userId))) {
+          return false;
+        }
+
+        await tx.roomMember.create({
+          data: {
+            roomId: invite.roomId,
+            userId: userId,
+            role: 'MEMBER'
+          }
+        });
+
+        await addToRoomChannels(tx, invite.roomId, userId);
+        return true;
+      });
+
+      if (!joined) {
+        console.log('❌ [USE_INVITE] Invite code was used up or revoked meanwhile');
+        sendRoomError(ws, ERROR_CODES.INVALID_INVITE_CODE, INVITE_STATUS_MESSAGES.EXHAUSTED, { type: 'INVALID_INVITE_CODE' });
+        return;
+      }
+
+      await recordRoomAudit({
+        roomId: invite.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INVITE_USED,
+        targetId: invite.id,
+        metadata: { invitedBy: invite.invitedBy, useCount: invite.useCount + 1 }
+      });
+
+      // Get the complete channel data with room members for the response
+      const channelWithRoomData = await prisma.channel.findUnique({
+        where: { id: defaultChannelId },
+        include: {
+          room: {
+            select: {
+              id: true,
+              members: {
+                select: {
+                  userId: true,
+                  role: true
+                }
+              }
+            }
+          },
+          createdByUser: {
+            select: {
+              id: true,
+              username: true,
+              displayName: true,
+              avatarUrl: true,
+              role: true
+            }
+          }
+        }
+      });
+
+      console.log('🔍 [USE_INVITE] Sending success response');
+      const responseData = {
+        room: {
+          ...invite.room,
+          channelId: defaultChannelId
+        },
+        channel: channelWithRoomData
+      };
+      console.log('🔍 [USE_INVITE] Response data:', responseData);
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_INVITE_USED, responseData, ws.requestId));
+
+      console.log('✅ [ROOM] User joined via invite:', { roomId: invite.roomId, userId, inviteCode });
+      
+      // Clear caches after joining via invite
+      clearAllChannelCaches('user joined via invite');
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleUseRoomInvite:', error);
+      throw error;
+    }
+  }
+
+  async function handleCreateRoomInvite(userId, payload, ws) {
+    try {
+      const { roomId, message, expiresInHours = 24, maxUses = 1 } = payload;
       
-      ws.send(msgpack.encode([SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { success: true, settings: results }, Date.now()]));
+      if (!roomId) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Room ID is required');
+        return;
+      }
+
+      if (!hasPermission(await resolveRoomPermissions(userId, roomId), PERMISSIONS.CREATE_INVITES)) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'Insufficient permissions to create invites');
+        return;
+      }
+
+      // expiresInHours: null makes an invite that never expires
+      const expiresAt = expiresInHours === null ? null : new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+      // Generate unique invite code
+      const inviteCode = crypto.randomBytes(20).toString('hex');
+
+      const invite = await prisma.roomInvite.create({
+        data: {
+          roomId,
+          invitedBy: userId,
+          message,
+          inviteCode,
+          expiresAt,
+          maxUses
+        }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_INVITE_CREATED, { invite }, ws.requestId));
+
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INVITE_CREATED,
+        targetId: invite.id,
+        metadata: { expiresAt, maxUses }
+      });
+
+      console.log('✅ [ROOM] Room invite created:', { roomId, inviteId: invite.id });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleCreateRoomInvite:', error);
+      throw error;
+    }
+  }
+
+  // Room managers (MANAGE_MEMBERS) see every invite; the rest see only their own
+  async function handleListRoomInvites(userId, payload, ws) {
+    try {
+      const { roomId, includeInactive = false } = payload;
+
+      const permissions = await resolveRoomPermissions(userId, roomId);
+      if (!hasPermission(permissions, PERMISSIONS.CREATE_INVITES) && !hasPermission(permissions, PERMISSIONS.MANAGE_MEMBERS)) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'Insufficient permissions to view invites');
+        return;
+      }
+
+      const invites = await prisma.roomInvite.findMany({
+        where: {
+          roomId,
+          ...(!hasPermission(permissions, PERMISSIONS.MANAGE_MEMBERS) && { invitedBy: userId }),
+          ...(!includeInactive && activeInviteWhere())
+        },
+        include: {
+          invitedByUser: {
+            select: { id: true, username: true, displayName: true, avatarUrl: true }
+          },
+          uses: {
+            select: {
+              userId: true,
+              usedAt: true,
+              user: { select: { id: true, username: true, displayName: true, avatarUrl: true } }
+            },
+            orderBy: { usedAt: 'desc' },
+            take: 20
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 100
+      });
+
+      const withStatus = invites
+        .map(invite => ({ ...invite, status: getInviteStatus(invite) }))
+        .filter(invite => includeInactive || invite.status === 'ACTIVE');
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_INVITES_LOADED, { roomId, invites: withStatus }, ws.requestId));
     } catch (error) {
-      console.error('❌ [AUDIO WS] Set error:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.AUDIO_SETTINGS_SET_RESPONSE, { error: 'Failed to set audio settings' }, Date.now()]));
+      console.error('❌ [ROOM] Error in handleListRoomInvites:', error);
+      throw error;
     }
   }
 
-  wss.on('error', (error) => {
-    console.error('❌ [SERVER] WebSocket server error:', error);
-  });
-
-  wss.on('connection', async (ws, req) => {
-    let userId = null;
-    let username = null;
-    let heartbeatInterval = null;
-    let connectionTimeout = null;
-    
+  // Creators can revoke their own invites, MANAGE_MEMBERS any invite in the room
+  async function handleRevokeRoomInvite(userId, payload, ws) {
     try {
-      
-      console.log('🔌 [SERVER] New WebSocket connection attempt:', {
-        url: req.url,
-        userAgent: req.headers['user-agent'],
-        timestamp: new Date().toISOString(),
-        headers: req.headers
+      const { inviteId } = payload;
+
+      const invite = await prisma.roomInvite.findUnique({
+        where: { id: inviteId }
       });
-      
-      const url = new URL(req.url, `http://${req.headers.host}`);
-      
-      const token = url.searchParams.get('token');
-      
-      let userId = null;
-      let username = 'Anonymous';
-      
-      // Check if this is an authentication connection (no token) or authenticated connection (with token)
-      if (token) {
-        // Authenticated connection - verify token
-        const session = await prisma.session.findUnique({ 
-          where: { token }, 
-          include: { user: true } 
-        });
-        
-        if (!session || session.expiresAt < new Date()) {
-          console.log('❌ [SERVER] WebSocket connection rejected: Invalid or expired token', {
-            hasSession: !!session,
-            expiresAt: session?.expiresAt,
-            currentTime: new Date(),
-            token: token.substring(0, 10) + '...'
-          });
-          ws.close(1008, 'Invalid or expired token');
-          return;
-        }
 
-        userId = session.userId;
-        username = session.user.username || session.user.walletAddress;
-      } else {
-        // Unauthenticated connection - allow for authentication purposes
-        console.log('🔐 [SERVER] WebSocket connection for authentication (no token provided)');
+      if (!invite) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Invite not found');
+        return;
       }
 
-    console.log('🔐 [SERVER] WebSocket authentication successful:', {
-      userId,
-      username,
-      token: token ? token.substring(0, 10) + '...' : 'none',
-      timestamp: new Date().toISOString()
-    });
+      const permissions = await resolveRoomPermissions(userId, invite.roomId);
+      const canRevoke = hasPermission(permissions, PERMISSIONS.MANAGE_MEMBERS)
+        || (invite.invitedBy === userId && hasPermission(permissions, PERMISSIONS.CREATE_INVITES));
+      if (!canRevoke) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'Insufficient permissions to revoke this invite');
+        return;
+      }
 
-    // Check if user already has a connection (only for authenticated users)
-    if (userId) {
-      const existingConnection = connections.get(userId);
-      if (existingConnection) {
-        if (existingConnection.readyState === 1) {
-          console.log('⚠️ [SERVER] User already connected, closing existing connection', {
-            userId,
-            existingReadyState: existingConnection.readyState
-          });
-          existingConnection.close(1000, 'Replaced by new connection');
-        } else {
-          console.log('🧹 [SERVER] Cleaning up stale connection', {
-            userId,
-            existingReadyState: existingConnection.readyState
-          });
-        }
-        connections.delete(userId);
+      if (invite.revokedAt) {
+        return; // Already revoked - nothing to do
       }
 
-      connections.set(userId, ws);
-      await updateUserPresence(userId, 'online');
+      const revoked = await prisma.roomInvite.update({
+        where: { id: inviteId },
+        data: { revokedAt: new Date() }
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_INVITE_REVOKED, {
+        roomId: invite.roomId,
+        inviteId,
+        revokedAt: revoked.revokedAt
+      }, ws.requestId));
+
+      await recordRoomAudit({
+        roomId: invite.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INVITE_REVOKED,
+        targetId: inviteId,
+        metadata: { invitedBy: invite.invitedBy, useCount: invite.useCount }
+      });
+
+      console.log('🚫 [ROOM] Room invite revoked:', { roomId: invite.roomId, inviteId, userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleRevokeRoomInvite:', error);
+      throw error;
+    }
+  }
+
+  // Join requests for private rooms
+  // Reviewers are members holding MANAGE_MEMBERS - OWNER, ADMIN and MODERATOR by default
+  const JOIN_REQUEST_INCLUDE = {
+    user: {
+      select: { id: true, username: true, displayName: true, avatarUrl: true }
     }
+  };
 
-    // Set connection start time for tracking
-    ws.connectionStartTime = Date.now();
+  async function getJoinRequestReviewerIds(roomId) {
+    const room = await prisma.room.findUnique({
+      where: { id: roomId },
+      select: {
+        privacy: true,
+        permissionOverrides: true,
+        members: { select: { userId: true, role: true } }
+      }
+    });
+    if (!room) return [];
+
+    return room.members
+      .filter(member => hasPermission(computeRoomPermissions({
+        roomRole: member.role,
+        isPublic: room.privacy === 1,
+        roomOverrides: room.permissionOverrides
+      }), PERMISSIONS.MANAGE_MEMBERS))
+      .map(member => member.userId);
+  }
 
-    console.log('✅ [SERVER] WebSocket connected for user:', {
-      userId,
-      username,
-      totalConnections: connections.size,
-      timestamp: new Date().toISOString()
+  // Stored notification plus a live NOTIFICATION_RECEIVED for whoever is online
+  async function notifyUsers(userIds, notification) {
+    if (userIds.length === 0) return;
+
+    await prisma.notification.createMany({
+      data: userIds.map(userId => ({ userId, ...notification }))
     });
-    
-    if (userId) {
-      ws.send(msgpack.encode([SERVER_EVENTS.USER_STATUS_CHANGED, { 
-        userId, 
-        status: 'online' 
-      }, Date.now()]));
+
+    await publishToUsers(userIds, SERVER_EVENTS.NOTIFICATION_RECEIVED, {
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      ...notification.data
+    });
+  }
+
+  async function handleRequestToJoinRoom(userId, payload, ws) {
+    try {
+      const { roomId, message = null } = payload;
+
+      const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        select: { id: true, name: true, privacy: true, isActive: true, stakingGate: true }
+      });
+
+      if (!room) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found');
+        return;
+      }
+
+      if (!room.isActive) {
+        sendRoomError(ws, ERROR_CODES.ROOM_INACTIVE, 'Room is not active');
+        return;
+      }
+
+      if (room.privacy !== 0) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Public rooms can be joined directly');
+        return;
+      }
+
+      const [ban, existingMember, existingRequest] = await Promise.all([
+        getActiveRoomBan(roomId, userId),
+        prisma.roomMember.findUnique({
+          where: { roomId_userId: { roomId, userId } },
+          select: { id: true }
+        }),
+        prisma.roomJoinRequest.findUnique({
+          where: { roomId_userId: { roomId, userId } },
+          include: JOIN_REQUEST_INCLUDE
+        })
+      ]);
+
+      if (ban) {
+        sendRoomError(ws, ERROR_CODES.BANNED, 'You are banned from this room', { expiresAt: ban.expiresAt });
+        return;
+      }
+
+      if (existingMember) {
+        sendRoomError(ws, ERROR_CODES.ALREADY_MEMBER, 'You are already a member of this room');
+        return;
+      }
+
+      const stakingFailure = await checkStakingGate(room.stakingGate, userId);
+      if (stakingFailure) {
+        sendRoomError(ws, ERROR_CODES.STAKING_REQUIRED, stakingFailure, { gate: normalizeStakingGate(room.stakingGate) });
+        return;
+      }
+
+      // Asking again while pending just returns the open request
+      if (existingRequest?.status === 'PENDING') {
+        ws.send(encodeFrame(SERVER_EVENTS.ROOM_JOIN_REQUEST_CREATED, { roomId, request: existingRequest }, ws.requestId));
+        return;
+      }
+
+      // A denied or stale approved request is reopened
+      const request = await prisma.roomJoinRequest.upsert({
+        where: { roomId_userId: { roomId, userId } },
+        create: { roomId, userId, message },
+        update: { message, status: 'PENDING', reviewedBy: null, reviewedAt: null },
+        include: JOIN_REQUEST_INCLUDE
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_JOIN_REQUEST_CREATED, { roomId, request }, ws.requestId));
+
+      const reviewerIds = await getJoinRequestReviewerIds(roomId);
+      const requesterName = request.user.displayName || request.user.username || 'Someone';
+
+      await publishToUsers(reviewerIds, SERVER_EVENTS.ROOM_JOIN_REQUEST_UPDATED, { roomId, request });
+      await notifyUsers(reviewerIds, {
+        type: 'room_join_request',
+        title: 'New join request',
+        message: `${requesterName} asked to join ${room.name}`,
+        data: { roomId, requestId: request.id, fromUserId: userId, fromUserName: requesterName }
+      });
+
+      console.log('🙋 [ROOM] Join request created:', { roomId, requestId: request.id, userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleRequestToJoinRoom:', error);
+      throw error;
     }
+  }
 
-      ws.on('message', async (data) => {
-        try {
-          // Reset connection timeout on any activity
-          resetConnectionTimeout();
-          
-          let eventType, payload;
-          
-          // Try to parse as msgpack first, then fall back to JSON
-          try {
-            const dataArray = new Uint8Array(data);
-            [eventType, payload] = msgpack.decode(dataArray);
-          } catch (msgpackError) {
-            // Fall back to JSON parsing for authentication messages
-            const jsonData = JSON.parse(data.toString());
-            eventType = jsonData.type;
-            payload = jsonData.payload;
+  async function handleFetchRoomJoinRequests(userId, payload, ws) {
+    try {
+      const { roomId } = payload;
+
+      if (!hasPermission(await resolveRoomPermissions(userId, roomId), PERMISSIONS.MANAGE_MEMBERS)) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'Insufficient permissions to view join requests');
+        return;
+      }
+
+      const requests = await prisma.roomJoinRequest.findMany({
+        where: { roomId, status: 'PENDING' },
+        include: JOIN_REQUEST_INCLUDE,
+        orderBy: { createdAt: 'asc' },
+        take: 100
+      });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_JOIN_REQUESTS_LOADED, { roomId, requests }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleFetchRoomJoinRequests:', error);
+      throw error;
+    }
+  }
+
+  async function getPendingJoinRequest(reviewerId, requestId) {
+    const request = await prisma.roomJoinRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        ...JOIN_REQUEST_INCLUDE,
+        room: {
+          include: {
+            channels: { select: { id: true }, orderBy: POSITION_ORDER },
+            createdByUser: {
+              select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
+            }
           }
-          
-          console.log('🔵 [SERVER] WebSocket message received:', {
-            eventType,
-            payload: payload ? JSON.stringify(payload).substring(0, 100) + '...' : 'null',
-            userId,
-            timestamp: new Date().toISOString()
-          });
+        }
+      }
+    });
+
+    if (!request) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Join request not found');
+    }
+
+    if (!hasPermission(await resolveRoomPermissions(reviewerId, request.roomId), PERMISSIONS.MANAGE_MEMBERS)) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'Insufficient permissions to review join requests');
+    }
+
+    if (request.status !== 'PENDING') {
+      throw new EventError(ERROR_CODES.VALIDATION_FAILED, 'Join request has already been reviewed');
+    }
+
+    return request;
+  }
+
+  // Marks the request reviewed unless another reviewer got there first
+  async function closeJoinRequest(tx, request, reviewerId, status) {
+    const { count } = await tx.roomJoinRequest.updateMany({
+      where: { id: request.id, status: 'PENDING' },
+      data: { status, reviewedBy: reviewerId, reviewedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  async function announceJoinRequestReview(request, status, reviewerId) {
+    const { room, user, ...rest } = request;
+    const reviewerIds = await getJoinRequestReviewerIds(request.roomId);
+
+    await publishToUsers(reviewerIds, SERVER_EVENTS.ROOM_JOIN_REQUEST_UPDATED, {
+      roomId: request.roomId,
+      request: { ...rest, user, status, reviewedBy: reviewerId }
+    });
+  }
+
+  async function handleApproveJoinRequest(userId, payload, ws) {
+    try {
+      const { requestId } = payload;
+
+      const request = await getPendingJoinRequest(userId, requestId);
+      const { room } = request;
+
+      if (!room.isActive) {
+        sendRoomError(ws, ERROR_CODES.ROOM_INACTIVE, 'Room is not active');
+        return;
+      }
+
+      if (await getActiveRoomBan(room.id, request.userId)) {
+        sendRoomError(ws, ERROR_CODES.BANNED, 'User is banned from this room');
+        return;
+      }
 
-          // Check authentication for most operations (except auth operations)
-          if (!userId && !['AUTH_ME', 'AUTH_LOGIN', 'PING'].includes(eventType)) {
-            console.log('❌ [SERVER] Unauthenticated user attempted operation:', eventType);
-            ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Authentication required' }, Date.now()]));
-            return;
+      const stakingFailure = await checkStakingGate(room.stakingGate, request.userId);
+      if (stakingFailure) {
+        sendRoomError(ws, ERROR_CODES.STAKING_REQUIRED, `User no longer meets the staking gate: ${stakingFailure}`, {
+          gate: normalizeStakingGate(room.stakingGate)
+        });
+        return;
+      }
+
+      const memberCount = await prisma.roomMember.count({
+        where: { roomId: room.id }
+      });
+
+      if (memberCount >= room.maxMembers) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, 'Room is full');
+        return;
+      }
+
+      // The requester may have joined by invite meanwhile - approve without adding them twice
+      const approved = await prisma.$transaction(async (tx) => {
+        if (!(await closeJoinRequest(tx, request, userId, 'APPROVED'))) {
+          return false;
+        }
+
+        const existingMember = await tx.roomMember.findUnique({
+          where: { roomId_userId: { roomId: room.id, userId: request.userId } },
+          select: { id: true }
+        });
+        if (existingMember) return true;
+
+        await tx.roomMember.create({
+          data: {
+            roomId: room.id,
+            userId: request.userId,
+            role: 'MEMBER'
           }
+        });
 
-          switch (eventType) {
-            // WebSocket Authentication Handlers
-            case CLIENT_EVENTS.AUTH_ME:
-              try {
-                // Get user data for authenticated user
-                const user = await prisma.user.findUnique({
-                  where: { id: userId },
-                  include: {
-                    sessions: {
-                      where: { expiresAt: { gt: new Date() } },
-                      orderBy: { createdAt: 'desc' },
-                      take: 1
-                    }
-                  }
-                });
-                
-                if (!user) {
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_ME_RESPONSE',
-                    success: false,
-                    error: 'User not found'
-                  }));
-                  return;
-                }
-                
-                // Get follower counts for the user
-                const [followerCount, followingCount] = await Promise.all([
-                  prisma.follow.count({ where: { followingId: user.id } }),
-                  prisma.follow.count({ where: { followerId: user.id } })
-                ]);
-
-                // Prepare user data for response
-                const userData = {
-                  id: user.id,
-                  walletAddress: user.walletAddress,
-                  username: user.username,
-                  displayName: user.displayName,
-                  role: user.role,
-                  isAdmin: user.role === 0,
-                  isVerified: user.isVerified,
-                  avatarUrl: user.avatarUrl,
-                  avatarBlob: user.avatarBlob,
-                  bio: user.bio,
-                  followerCount,
-                  followingCount,
-                  email: user.email,
-                  emailVerified: user.emailVerified,
-                  twitterHandle: user.twitterHandle,
-                  discordHandle: user.discordHandle,
-                  twitchHandle: user.twitchHandle,
-                  spotifyHandle: user.spotifyHandle,
-                  status: user.status || 'online',
-                  lastSeen: user.lastSeen
-                };
-                
-                // Get the current session token
-                const currentSession = user.sessions[0];
-                const token = currentSession ? currentSession.token : null;
-                
-                // Encrypt user data
-                try {
-                  console.log('🔐 [SERVER] Starting AUTH_ME encryption process...');
-                  const { encryptData } = require('./lib/encryption');
-                  const dataToEncrypt = { user: userData, token };
-                  console.log('🔐 [SERVER] AUTH_ME data to encrypt:', JSON.stringify(dataToEncrypt).substring(0, 100) + '...');
-                  
-                  const encryptedData = await encryptData(dataToEncrypt);
-                  console.log('🔐 [SERVER] AUTH_ME encryption successful:', {
-                    hasEncrypted: !!encryptedData.encrypted,
-                    hasIv: !!encryptedData.iv,
-                    hasTag: !!encryptedData.tag,
-                    encryptedLength: encryptedData.encrypted?.length || 0
-                  });
-                  
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_ME_RESPONSE',
-                    success: true,
-                    data: encryptedData,
-                    encrypted: true
-                  }));
-                  
-                  console.log('✅ [SERVER] AUTH_ME successful for user (encrypted):', user.username);
-                } catch (encryptError) {
-                  console.error('❌ [SERVER] AUTH_ME encryption failed:', encryptError);
-                  console.warn('⚠️ [SERVER] Sending unencrypted AUTH_ME data as fallback');
-                  
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_ME_RESPONSE',
-                    success: true,
-                    data: { user: userData, token },
-                    encrypted: false
-                  }));
-                }
-              } catch (err) {
-                console.error('❌ [SERVER] Error in AUTH_ME:', err);
-                ws.send(JSON.stringify({
-                  type: 'AUTH_ME_RESPONSE',
-                  success: false,
-                  error: 'Internal server error'
-                }));
-              }
-              break;
-              
-            case CLIENT_EVENTS.AUTH_LOGIN:
-              try {
-                console.log('🔐 [SERVER] AUTH_LOGIN received, payload type:', typeof payload);
-                console.log('🔐 [SERVER] AUTH_LOGIN payload:', payload);
-                
-                // Payload is already parsed from the WebSocket message
-                const { walletAddress, jwtToken } = payload;
-                
-                console.log('🔐 [SERVER] Extracted values:', { 
-                  walletAddress: walletAddress ? 'present' : 'missing', 
-                  jwtToken: jwtToken ? 'present' : 'missing' 
-                });
-                
-                if (!walletAddress || !jwtToken) {
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_LOGIN_RESPONSE',
-                    success: false,
-                    error: 'Missing required fields'
-                  }));
-                  return;
-                }
-                
-                // Verify JWT token (simplified for now)
-                // In production, you'd properly verify the JWT signature
-                try {
-                  console.log('🔐 [SERVER] Verifying JWT token:', jwtToken.substring(0, 50) + '...');
-                  
-                  const tokenParts = jwtToken.split('.');
-                  if (tokenParts.length !== 3) {
-                    throw new Error('Invalid JWT format');
-                  }
-                  
-                  const tokenPayload = JSON.parse(atob(tokenParts[1]));
-                  const now = Math.floor(Date.now() / 1000);
-                  
-                  console.log('🔐 [SERVER] JWT payload:', tokenPayload);
-                  console.log('🔐 [SERVER] Current time:', now, 'Token exp:', tokenPayload.exp);
-                  
-                  if (tokenPayload.exp < now) {
-                    throw new Error('JWT token expired');
-                  }
-                  
-                  if (tokenPayload.walletAddress !== walletAddress) {
-                    throw new Error('JWT wallet address mismatch');
-                  }
-                  
-                  console.log('🔐 [SERVER] JWT token verified for wallet:', walletAddress);
-                } catch (jwtError) {
-                  console.error('❌ [SERVER] JWT verification failed:', jwtError);
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_LOGIN_RESPONSE',
-                    success: false,
-                    error: 'Invalid JWT token'
-                  }));
-                  return;
-                }
-                
-                // Find or create user
-                let user = await prisma.user.findUnique({
-                  where: { walletAddress }
-                });
-                
-                if (!user) {
-                  // Create new user
-                  user = await prisma.user.create({
-                    data: {
-                      walletAddress,
-                      username: `user_${Date.now()}`,
-                      displayName: `User ${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`,
-                      role: 1,
-                      isVerified: false,
-                      status: 'online'
-                    }
-                  });
-                }
-                
-                // Create session
-                const token = require('crypto').randomBytes(32).toString('hex');
-                const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-                
-                await prisma.session.create({
-                  data: { token, userId: user.id, expiresAt }
-                });
-                
-                // Get follower counts for the user
-                const [followerCount, followingCount] = await Promise.all([
-                  prisma.follow.count({ where: { followingId: user.id } }),
-                  prisma.follow.count({ where: { followerId: user.id } })
-                ]);
-
-                // Prepare user data
-                const userData = {
-                  id: user.id,
-                  walletAddress: user.walletAddress,
-                  username: user.username,
-                  displayName: user.displayName,
-                  role: user.role,
-                  isAdmin: user.role === 0,
-                  isVerified: user.isVerified,
-                  avatarUrl: user.avatarUrl,
-                  avatarBlob: user.avatarBlob,
-                  bio: user.bio,
-                  followerCount,
-                  followingCount,
-                  email: user.email,
-                  emailVerified: user.emailVerified,
-                  twitterHandle: user.twitterHandle,
-                  discordHandle: user.discordHandle,
-                  twitchHandle: user.twitchHandle,
-                  spotifyHandle: user.spotifyHandle,
-                  status: user.status || 'online',
-                  lastSeen: user.lastSeen
-                };
-                
-                // Encrypt user data
-                try {
-                  console.log('🔐 [SERVER] Starting encryption process...');
-                  const { encryptData } = require('./lib/encryption');
-                  const dataToEncrypt = { user: userData, token };
-                  console.log('🔐 [SERVER] Data to encrypt:', JSON.stringify(dataToEncrypt).substring(0, 100) + '...');
-                  
-                  const encryptedData = await encryptData(dataToEncrypt);
-                  console.log('🔐 [SERVER] Encryption successful:', {
-                    hasEncrypted: !!encryptedData.encrypted,
-                    hasIv: !!encryptedData.iv,
-                    hasTag: !!encryptedData.tag,
-                    encryptedLength: encryptedData.encrypted?.length || 0
-                  });
-                  
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_LOGIN_RESPONSE',
-                    success: true,
-                    data: encryptedData,
-                    encrypted: true
-                  }));
-                  
-                  console.log('✅ [SERVER] AUTH_LOGIN successful for user (encrypted):', user.username);
-                } catch (encryptError) {
-                  console.error('❌ [SERVER] Encryption failed:', encryptError);
-                  console.warn('⚠️ [SERVER] Sending unencrypted data as fallback');
-                  
-                  ws.send(JSON.stringify({
-                    type: 'AUTH_LOGIN_RESPONSE',
-                    success: true,
-                    data: { user: userData, token },
-                    encrypted: false
-                  }));
-                }
-              } catch (err) {
-                console.error('❌ [SERVER] Error in AUTH_LOGIN:', err);
-                ws.send(JSON.stringify({
-                  type: 'AUTH_LOGIN_RESPONSE',
-                  success: false,
-                  error: 'Internal server error'
-                }));
-              }
-              break;
-
-            // Storage operations
-            case CLIENT_EVENTS.STORAGE_GET:
-              try {
-                await handleStorageGet(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStorageGet:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to get storage item' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.STORAGE_SET:
-              try {
-                await handleStorageSet(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStorageSet:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to set storage item' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.STORAGE_DELETE:
-              try {
-                await handleStorageDelete(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStorageDelete:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to delete storage item' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.STORAGE_LIST:
-              try {
-                await handleStorageList(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStorageList:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to list storage items' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.STORAGE_CLEAR:
-              try {
-                await handleStorageClear(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStorageClear:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to clear storage' }, Date.now()]));
-              }
-              break;
-
-            // Audio settings
-            case CLIENT_EVENTS.AUDIO_SETTINGS_GET:
-              try {
-                await handleAudioSettingsGet(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleAudioSettingsGet:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to get audio settings' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.AUDIO_SETTINGS_SET:
-              try {
-                await handleAudioSettingsSet(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleAudioSettingsSet:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to set audio settings' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.SEND_MESSAGE:
-              try {
-                await handleSendMessage(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleSendMessage:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to send message' }, Date.now()]));
-              }
-              break;
+        await addToRoomChannels(tx, room.id, request.userId);
+        return true;
+      });
 
-            case CLIENT_EVENTS.JOIN_CHANNEL:
-              try {
-                await handleJoinChannel(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleJoinChannel:', err);
-              }
-              break;
+      if (!approved) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Join request has already been reviewed');
+        return;
+      }
 
-            case CLIENT_EVENTS.START_TYPING:
-              try {
-                await handleStartTyping(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStartTyping:', err);
-              }
-              break;
+      clearAllChannelCaches('join request approved');
 
-            case CLIENT_EVENTS.STOP_TYPING:
-              try {
-                await handleStopTyping(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleStopTyping:', err);
-              }
-              break;
-
-            case CLIENT_EVENTS.FETCH_MESSAGES:
-              try {
-                await handleFetchMessages(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleFetchMessages:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to fetch messages' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.FETCH_CHANNELS:
-              try {
-                console.log('🔍 [SERVER] Fetching channels:', payload);
-                await handleFetchChannels(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleFetchChannels:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to fetch channels' }, Date.now()]));
-              }
-              break;
+      await sendToUser(request.userId, SERVER_EVENTS.ROOM_JOINED, {
+        room: {
+          ...room,
+          channelId: room.channels[0]?.id || null
+        }
+      });
+      await notifyUsers([request.userId], {
+        type: 'room_join_approved',
+        title: 'Join request approved',
+        message: `Your request to join ${room.name} was approved`,
+        data: { roomId: room.id, requestId, channelId: room.channels[0]?.id || null }
+      });
+      await announceJoinRequestReview(request, 'APPROVED', userId);
+
+      await recordRoomAudit({
+        roomId: room.id,
+        actorId: userId,
+        action: AUDIT_ACTIONS.JOIN_REQUEST_APPROVED,
+        targetUserId: request.userId,
+        targetId: requestId
+      });
 
-            case CLIENT_EVENTS.MARK_AS_READ:
-              try {
-                await handleMarkAsRead(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleMarkAsRead:', err);
-              }
-              break;
-
-            case CLIENT_EVENTS.ADD_REACTION:
-              try {
-                await handleAddReaction(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleAddReaction:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to add reaction' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.REMOVE_REACTION:
-              try {
-                await handleRemoveReaction(userId, payload);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleRemoveReaction:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to remove reaction' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.PING:
-                try {
-                  // Echo back with Layer4 Tek acknowledgment
-                  const responsePayload = payload?.protocol === 'LAYER4_TEK' 
-                    ? { ...payload, acknowledged: true, serverTime: Date.now() }
-                    : payload || {};
-              
-                  ws.send(msgpack.encode([SERVER_EVENTS.PONG, responsePayload, Date.now()]));
-                  console.log('❤️ [SERVER] Layer4 Tek heartbeat acknowledged');
-                } catch (err) {
-                  console.error('❌ [SERVER] Error sending PONG:', err);
-                }
-                break;
-
-            // Social features
-            case CLIENT_EVENTS.FOLLOW_USER:
-              try {
-                await handleFollowUser(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleFollowUser:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to follow user' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.UNFOLLOW_USER:
-              try {
-                await handleUnfollowUser(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleUnfollowUser:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to unfollow user' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.SEND_POKE:
-              try {
-                await handleSendPoke(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleSendPoke:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to send poke' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.GET_USER_STATUS:
-              try {
-                await handleGetUserStatus(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleGetUserStatus:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to get user status' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.CHECK_FOLLOW_STATUS:
-              try {
-                await handleCheckFollowStatus(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleCheckFollowStatus:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to check follow status' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.GET_USER_STATS:
-              try {
-                await handleGetUserStats(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleGetUserStats:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to get user stats' }, Date.now()]));
-              }
-              break;
-
-            // Room features
-            case CLIENT_EVENTS.CREATE_ROOM:
-              try {
-                await handleCreateRoom(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleCreateRoom:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to create room' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.JOIN_ROOM:
-              try {
-                await handleJoinRoom(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleJoinRoom:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to join room' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.LEAVE_ROOM:
-              try {
-                await handleLeaveRoom(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleLeaveRoom:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to leave room' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.GET_ROOM_INFO:
-              try {
-                await handleGetRoomInfo(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleGetRoomInfo:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to get room info' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.CREATE_ROOM_INVITE:
-              try {
-                await handleCreateRoomInvite(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleCreateRoomInvite:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to create room invite' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.USE_ROOM_INVITE:
-              try {
-                await handleUseRoomInvite(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleUseRoomInvite:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to use room invite' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.GET_USER_ROOMS:
-              try {
-                await handleGetUserRooms(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleGetUserRooms:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to get user rooms' }, Date.now()]));
-              }
-              break;
-
-            case CLIENT_EVENTS.SEARCH_ROOMS:
-              try {
-                await handleSearchRooms(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleSearchRooms:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to search rooms' }, Date.now()]));
-              }
-              break;
-            case CLIENT_EVENTS.CREATE_ROOM_INVITE:
-              try {
-                await handleCreateRoomInvite(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleCreateRoomInvite:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Failed to create room invite' }, Date.now()]));
-              }
-              break;
-            // DM features
-            case CLIENT_EVENTS.CREATE_DM:
-              try {
-                await handleCreateDM(userId, payload, ws);
-              } catch (err) {
-                console.error('❌ [SERVER] Error in handleCreateDM:', err);
-                ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to create DM' }, Date.now()]));
-              }
-              break;
+      console.log('✅ [ROOM] Join request approved:', { roomId: room.id, requestId, userId: request.userId, reviewerId: userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleApproveJoinRequest:', error);
+      throw error;
+    }
+  }
+
+  async function handleDenyJoinRequest(userId, payload, ws) {
+    try {
+      const { requestId, reason = null } = payload;
+
+      const request = await getPendingJoinRequest(userId, requestId);
+
+      if (!(await closeJoinRequest(prisma, request, userId, 'DENIED'))) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Join request has already been reviewed');
+        return;
+      }
+
+      await notifyUsers([request.userId], {
+        type: 'room_join_denied',
+        title: 'Join request denied',
+        message: `Your request to join ${request.room.name} was denied`,
+        data: { roomId: request.roomId, requestId, reason }
+      });
+      await announceJoinRequestReview(request, 'DENIED', userId);
+
+      await recordRoomAudit({
+        roomId: request.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.JOIN_REQUEST_DENIED,
+        targetUserId: request.userId,
+        targetId: requestId,
+        metadata: { reason }
+      });
+
+      console.log('🚫 [ROOM] Join request denied:', { roomId: request.roomId, requestId, userId: request.userId, reviewerId: userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleDenyJoinRequest:', error);
+      throw error;
+    }
+  }
+
+  // Room settings - owner only
+  async function getOwnedRoom(userId, roomId) {
+    const room = await prisma.room.findUnique({
+      where: { id: roomId },
+      include: {
+        channels: { select: { id: true } },
+        members: { select: { userId: true, role: true } }
+      }
+    });
+
+    if (!room) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Room not found');
+    }
 
-            default:
-              console.log('Unknown event type:', eventType);
-          }
-        } catch (error) {
-          console.error('💥 [SERVER] UNCAUGHT ERROR in ws.on("message"):', error);
-          try {
-            ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Internal server error' }, Date.now()]));
-          } catch (e) {
-            console.error('Failed to send error to client:', e.message);
-          }
-        }
-      });
+    const owner = room.members.find(member => member.role === 'OWNER');
+    if (owner?.userId !== userId) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'Only the room owner can change room settings');
+    }
 
-      // Server-side heartbeat to prevent disconnections - More aggressive
-      const startHeartbeat = () => {
-        if (heartbeatInterval) clearInterval(heartbeatInterval);
-        heartbeatInterval = setInterval(() => {
-          if (ws.readyState === WebSocket.OPEN) {
-            try {
-              ws.send(msgpack.encode([SERVER_EVENTS.PONG, { 
-                serverHeartbeat: true, 
-                timestamp: Date.now(),
-                serverTime: new Date().toISOString(),
-                connectionId: userId,
-                serverLoad: connections.size
-              }, Date.now()]));
-            } catch (error) {
-              console.error('❌ [SERVER] Heartbeat send error:', error);
-              cleanup();
-            }
-          }
-        }, 15000); // Send heartbeat every 15 seconds - more frequent
-      };
+    return room;
+  }
 
-      // Connection timeout to detect stale connections - More lenient
-      const resetConnectionTimeout = () => {
-        if (connectionTimeout) {
-          clearTimeout(connectionTimeout);
-          connectionTimeout = null;
-        }
-        
-        // Only set timeout if connection is still open
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          connectionTimeout = setTimeout(() => {
-            console.log('⏰ [SERVER] Connection timeout - closing stale connection:', { 
-              userId, 
-              username,
-              connectionAge: Date.now() - (ws.connectionStartTime || Date.now())
-            });
-            ws.close(1000, 'Connection timeout');
-          }, 120000); // 2 minute timeout - more lenient
-          
-          console.log('🔄 [SERVER] Connection timeout reset for user:', { userId, username });
-        }
-      };
+  // Public listings and every member's channel list may now be stale
+  async function invalidateRoomCaches(room) {
+    await Promise.all([
+      redis.del('channels:public'),
+      ...room.members.map(member => redis.invalidateUserChannels(member.userId))
+    ]);
+  }
 
-      // Cleanup function
-      const cleanup = () => {
-        console.log('🧹 [SERVER] Cleaning up connection for user:', { userId, username });
-        
-        if (heartbeatInterval) {
-          clearInterval(heartbeatInterval);
-          heartbeatInterval = null;
-        }
-        if (connectionTimeout) {
-          clearTimeout(connectionTimeout);
-          connectionTimeout = null;
-        }
-        if (userId) {
-          connections.delete(userId);
-          updateUserPresence(userId, 'offline');
-        }
+  function getRoomSettings(room) {
+    const { id, name, description, privacy, maxMembers, isActive } = room;
+    return { id, name, description, privacy, maxMembers, isActive, stakingGate: normalizeStakingGate(room.stakingGate) };
+  }
+
+  async function handleUpdateRoom(userId, payload, ws) {
+    try {
+      const { roomId, name, description, privacy, maxMembers } = payload;
+
+      const room = await getOwnedRoom(userId, roomId);
+
+      if (maxMembers !== undefined && maxMembers < room.members.length) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, `Room already has ${room.members.length} members`);
+        return;
+      }
+
+      const data = {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(privacy !== undefined && { privacy }),
+        ...(maxMembers !== undefined && { maxMembers })
       };
+      const changes = Object.fromEntries(Object.entries(data)
+        .filter(([field, value]) => room[field] !== value)
+        .map(([field, value]) => [field, { from: room[field], to: value }]));
 
-      // Start heartbeat immediately
-      startHeartbeat();
-      
-      // Set initial timeout after a grace period to allow client to connect
-      setTimeout(() => {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          resetConnectionTimeout();
-          console.log('🔧 [SERVER] Connection setup complete for user:', {
-            userId,
-            username,
-            readyState: ws.readyState,
-            hasTimeout: !!connectionTimeout,
-            hasHeartbeat: !!heartbeatInterval
+      if (Object.keys(changes).length === 0) {
+        return; // Nothing changed
+      }
+
+      // The room's channels mirror its privacy
+      const updatedRoom = await prisma.$transaction(async (tx) => {
+        const updated = await tx.room.update({
+          where: { id: roomId },
+          data
+        });
+        if (changes.privacy) {
+          await tx.channel.updateMany({
+            where: { roomId },
+            data: { isPrivate: privacy === 0 }
           });
         }
-      }, 5000); // 5 second grace period
+        return updated;
+      });
 
-      ws.on('close', (code, reason) => {
-        console.log('🔌 [SERVER] WebSocket disconnected:', {
-          userId,
-          username,
-          code,
-          reason: reason.toString(),
-          wasClean: code === 1000,
-          totalConnections: connections.size - 1,
-          timestamp: new Date().toISOString()
-        });
-        cleanup();
+      await invalidateRoomCaches(room);
+
+      await publishToUsers(room.members.map(member => member.userId), SERVER_EVENTS.ROOM_UPDATED, {
+        roomId,
+        channelIds: room.channels.map(channel => channel.id),
+        room: getRoomSettings(updatedRoom),
+        changes: Object.keys(changes),
+        updatedBy: userId
       });
 
-      ws.on('error', (error) => {
-        console.error('❌ [SERVER] WebSocket error:', {
-          userId,
-          username,
-          error: error.message,
-          stack: error.stack,
-          timestamp: new Date().toISOString()
-        });
-        cleanup();
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ROOM_UPDATED,
+        targetId: roomId,
+        metadata: changes
       });
 
+      console.log('✏️ [ROOM] Room updated:', { roomId, changes: Object.keys(changes), userId });
     } catch (error) {
-      console.error('💥 [SERVER] Connection error:', error);
-      try {
-        ws.close(1008, 'Authentication failed');
-      } catch (e) {
-        console.error('Failed to close WebSocket after auth error:', e.message);
-      }
+      console.error('❌ [ROOM] Error in handleUpdateRoom:', error);
+      throw error;
     }
-  });
+  }
 
-  // Social features handlers
-  async function handleFollowUser(userId, payload, ws) {
+  // Archived rooms stay readable by their members but accept no messages or joins
+  async function handleArchiveRoom(userId, payload, ws) {
     try {
-      const { targetUserId } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
-        return;
-      }
+      const { roomId, archived = true } = payload;
 
-      if (userId === targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Cannot follow yourself' }, Date.now()]));
-        return;
+      const room = await getOwnedRoom(userId, roomId);
+
+      if (room.isActive === !archived) {
+        return; // Already in that state
       }
 
-      // Check if follow relationship already exists
-      const existingFollow = await prisma.follow.findFirst({
-        where: {
-          followerId: userId,
-          followingId: targetUserId
-        }
+      const updatedRoom = await prisma.room.update({
+        where: { id: roomId },
+        data: { isActive: !archived }
       });
 
-      if (existingFollow) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Already following this user' }, Date.now()]));
-        return;
-      }
+      await invalidateRoomCaches(room);
 
-      // Create follow relationship
-      await prisma.follow.create({
-        data: {
-          followerId: userId,
-          followingId: targetUserId
-        }
+      await publishToUsers(room.members.map(member => member.userId), SERVER_EVENTS.ROOM_UPDATED, {
+        roomId,
+        channelIds: room.channels.map(channel => channel.id),
+        room: getRoomSettings(updatedRoom),
+        changes: ['isActive'],
+        updatedBy: userId
       });
 
-      // Get follower's display name for notification
-      const follower = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { displayName: true, username: true }
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ROOM_UPDATED,
+        targetId: roomId,
+        metadata: { isActive: { from: room.isActive, to: !archived } }
       });
 
-      const followerName = follower?.displayName || follower?.username || 'Someone';
+      console.log('🗄️ [ROOM] Room archive state changed:', { roomId, archived, userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleArchiveRoom:', error);
+      throw error;
+    }
+  }
 
-      // Create notification for the target user
-      await prisma.notification.create({
-        data: {
-          userId: targetUserId,
-          type: 'follow',
-          title: 'New Follower',
-          message: `${followerName} started following you!`,
-          data: { fromUserId: userId, fromUserName: followerName }
-        }
-      });
+  // Deletes the room with its channel, messages, members, invites and audit log (cascade)
+  async function handleDeleteRoom(userId, payload, ws) {
+    try {
+      const { roomId } = payload;
 
-      // Get updated follower counts for both users
-      const [followerCount, followingCount] = await Promise.all([
-        prisma.follow.count({ where: { followingId: targetUserId } }),
-        prisma.follow.count({ where: { followerId: targetUserId } })
-      ]);
+      const room = await getOwnedRoom(userId, roomId);
 
-      // Send success response with updated counts
-      ws.send(msgpack.encode([SERVER_EVENTS.FOLLOW_SUCCESS, { 
-        targetUserId,
-        followerCount,
-        followingCount 
-      }, Date.now()]));
+      await prisma.room.delete({
+        where: { id: roomId }
+      });
 
-      // Notify target user if they're online
-      const targetConnection = connections.get(targetUserId);
-      if (targetConnection) {
-        targetConnection.send(msgpack.encode([SERVER_EVENTS.NOTIFICATION_RECEIVED, {
-          type: 'follow',
-          title: 'New Follower',
-          message: `${followerName} started following you!`,
-          fromUserId: userId,
-          fromUserName: followerName,
-          followerCount,
-          followingCount
-        }, Date.now()]));
-      }
+      await invalidateRoomCaches(room);
+      await Promise.all(room.channels.map(channel => redis.invalidateChannel(channel.id)));
 
-      console.log('✅ [SOCIAL] User followed:', { fromUserId: userId, toUserId: targetUserId, followerCount, followingCount });
+      await publishToUsers(room.members.map(member => member.userId), SERVER_EVENTS.ROOM_DELETED, {
+        roomId,
+        channelIds: room.channels.map(channel => channel.id),
+        deletedBy: userId
+      });
+
+      console.log('🗑️ [ROOM] Room deleted:', { roomId, name: room.name, userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleFollowUser:', error);
+      console.error('❌ [ROOM] Error in handleDeleteRoom:', error);
       throw error;
     }
   }
 
-  async function handleUnfollowUser(userId, payload, ws) {
+  // Joins are checked against the gate right away; existing members at the next re-check
+  async function handleSetStakingGate(userId, payload, ws) {
     try {
-      const { targetUserId } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
-        return;
-      }
+      const { roomId, gate = null } = payload;
 
-      // Delete follow relationship
-      const deletedFollow = await prisma.follow.deleteMany({
-        where: {
-          followerId: userId,
-          followingId: targetUserId
-        }
+      const room = await getOwnedRoom(userId, roomId);
+      const stakingGate = normalizeStakingGate(gate);
+
+      const updatedRoom = await prisma.room.update({
+        where: { id: roomId },
+        data: { stakingGate: stakingGate || {} }
       });
 
-      if (deletedFollow.count === 0) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Not following this user' }, Date.now()]));
-        return;
-      }
+      await invalidateRoomCaches(room);
 
-      // Get updated follower counts for the target user
-      const [followerCount, followingCount] = await Promise.all([
-        prisma.follow.count({ where: { followingId: targetUserId } }),
-        prisma.follow.count({ where: { followerId: targetUserId } })
-      ]);
+      await publishToUsers(room.members.map(member => member.userId), SERVER_EVENTS.ROOM_UPDATED, {
+        roomId,
+        channelIds: room.channels.map(channel => channel.id),
+        room: getRoomSettings(updatedRoom),
+        changes: ['stakingGate'],
+        updatedBy: userId
+      });
 
-      // Send success response with updated counts
-      ws.send(msgpack.encode([SERVER_EVENTS.UNFOLLOW_SUCCESS, { 
-        targetUserId,
-        followerCount,
-        followingCount 
-      }, Date.now()]));
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ROOM_UPDATED,
+        targetId: roomId,
+        metadata: { stakingGate: { from: normalizeStakingGate(room.stakingGate), to: stakingGate } }
+      });
 
-      console.log('✅ [SOCIAL] User unfollowed:', { fromUserId: userId, toUserId: targetUserId, followerCount, followingCount });
+      console.log('🪙 [ROOM] Staking gate updated:', { roomId, stakingGate, userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleUnfollowUser:', error);
+      console.error('❌ [ROOM] Error in handleSetStakingGate:', error);
       throw error;
     }
   }
 
-  async function handleSendPoke(userId, payload, ws) {
+  // Members of gated rooms whose staking no longer qualifies are removed, or lose
+  // their ADMIN/MODERATOR role when the gate's onLapse is DEMOTE. Owners are exempt.
+  async function recheckStakingGates() {
+    // Every instance runs the timer - only the first to claim this interval's round does the work
+    const { recheckIntervalMs } = websocketConfig.stakingGate;
+    const round = Math.floor(Date.now() / recheckIntervalMs);
+    const claimed = await redis.setIfAbsent(`jobs:staking_gate_recheck:${round}`, eventBus.instanceId, Math.ceil(recheckIntervalMs / 1000));
+    if (!claimed) return;
+
+    const rooms = await prisma.room.findMany({
+      where: {
+        isActive: true,
+        NOT: { stakingGate: { equals: {} } }
+      },
+      select: {
+        id: true,
+        stakingGate: true,
+        members: {
+          where: { role: { not: 'OWNER' } },
+          select: { id: true, userId: true, role: true }
+        }
+      }
+    });
+
+    let removed = 0;
+    let demoted = 0;
+
+    for (const room of rooms) {
+      const gate = normalizeStakingGate(room.stakingGate);
+      if (!gate) continue;
+
+      const members = gate.onLapse === 'DEMOTE'
+        ? room.members.filter(member => member.role === 'ADMIN' || member.role === 'MODERATOR')
+        : room.members;
+      const summaries = await getStakingSummaries(members.map(member => member.userId));
+
+      for (const member of members) {
+        const failure = getStakingGateFailure(gate, summaries.get(member.userId));
+        if (!failure) continue;
+
+        if (gate.onLapse === 'DEMOTE') {
+          await prisma.roomMember.update({
+            where: { id: member.id },
+            data: { role: 'MEMBER' }
+          });
+          await broadcastRoomMemberUpdate(room, {
+            userId: member.userId,
+            action: 'role',
+            role: 'MEMBER',
+            previousRole: member.role,
+            moderatorId: null,
+            reason: 'staking_lapsed'
+          });
+          await recordRoomAudit({
+            roomId: room.id,
+            action: AUDIT_ACTIONS.MEMBER_ROLE_UPDATED,
+            targetUserId: member.userId,
+            metadata: { role: 'MEMBER', previousRole: member.role, reason: 'staking_lapsed' }
+          });
+          demoted++;
+        } else {
+          await removeRoomMember(room, member, member.userId, { action: 'staking_lapsed', reason: failure, moderatorId: null });
+          await recordRoomAudit({
+            roomId: room.id,
+            action: AUDIT_ACTIONS.MEMBER_KICKED,
+            targetUserId: member.userId,
+            metadata: { reason: 'staking_lapsed' }
+          });
+          removed++;
+        }
+      }
+    }
+
+    if (demoted > 0) {
+      clearAllChannelCaches('staking gate demotions');
+    }
+
+    console.log('🪙 [STAKING_GATE] Re-check complete:', { rooms: rooms.length, removed, demoted });
+  }
+
+  // Room channels and categories - MANAGE_CHANNELS
+  async function assertCanManageChannels(userId, roomId) {
+    if (!hasPermission(await resolveRoomPermissions(userId, roomId), PERMISSIONS.MANAGE_CHANNELS)) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'You do not have permission to manage channels in this room');
+    }
+  }
+
+  async function getRoomChannel(userId, channelId) {
+    const channel = await prisma.channel.findUnique({
+      where: { id: channelId }
+    });
+
+    if (!channel) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Channel not found');
+    }
+
+    if (!channel.roomId) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'Only room channels can be managed');
+    }
+
+    await assertCanManageChannels(userId, channel.roomId);
+    return channel;
+  }
+
+  async function getRoomCategory(userId, categoryId) {
+    const category = await prisma.roomChannelCategory.findUnique({
+      where: { id: categoryId }
+    });
+
+    if (!category) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Category not found');
+    }
+
+    await assertCanManageChannels(userId, category.roomId);
+    return category;
+  }
+
+  async function assertCategoryInRoom(roomId, categoryId) {
+    if (!categoryId) return;
+    const category = await prisma.roomChannelCategory.findFirst({
+      where: { id: categoryId, roomId },
+      select: { id: true }
+    });
+    if (!category) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Category not found in this room');
+    }
+  }
+
+  async function broadcastChannelLayout(roomId, event, payload = {}) {
+    const tree = await getRoomChannelTree(roomId);
+    await broadcastToRoom(roomId, event, { roomId, ...payload, tree });
+  }
+
+  async function handleCreateChannel(userId, payload, ws) {
     try {
-      const { targetUserId, message } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
+      const { roomId, name, type = 'text-group', categoryId = null, topic = null } = payload;
+
+      const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        select: { id: true, privacy: true, _count: { select: { channels: true } } }
+      });
+
+      if (!room) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found');
         return;
       }
 
-      if (userId === targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Cannot poke yourself' }, Date.now()]));
+      await assertCanManageChannels(userId, roomId);
+
+      if (room._count.channels >= MAX_ROOM_CHANNELS) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, `Rooms can have at most ${MAX_ROOM_CHANNELS} channels`);
         return;
       }
 
-      // Create poke
-      const poke = await prisma.poke.create({
-        data: {
-          fromUserId: userId,
-          toUserId: targetUserId,
-          message: message || null
-        }
+      await assertCategoryInRoom(roomId, categoryId);
+
+      const position = await getNextPosition('channel', { roomId, categoryId });
+
+      // Every room member is subscribed to the new channel
+      const channel = await prisma.$transaction(async (tx) => {
+        const created = await tx.channel.create({
+          data: {
+            name,
+            type,
+            topic,
+            createdBy: userId,
+            roomId,
+            categoryId,
+            position,
+            isPrivate: room.privacy === 0
+          }
+        });
+
+        const members = await tx.roomMember.findMany({
+          where: { roomId },
+          select: { userId: true }
+        });
+        await tx.channelMember.createMany({
+          data: members.map(member => ({ channelId: created.id, userId: member.userId })),
+          skipDuplicates: true
+        });
+
+        return created;
       });
 
-      // Create notification for the target user
-      await prisma.notification.create({
-        data: {
-          userId: targetUserId,
-          type: 'poke',
-          title: 'You got poked!',
-          message: message || 'Someone poked you!',
-          data: { fromUserId: userId, pokeId: poke.id }
-        }
+      clearAllChannelCaches('room channel created');
+
+      await broadcastChannelLayout(roomId, SERVER_EVENTS.ROOM_CHANNEL_CREATED, { channel });
+
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_CREATED,
+        targetId: channel.id,
+        metadata: { name, type, categoryId }
       });
 
-      // Send success response
-      ws.send(msgpack.encode([SERVER_EVENTS.POKE_SENT, { targetUserId, pokeId: poke.id }, Date.now()]));
+      console.log('📁 [ROOM] Channel created:', { roomId, channelId: channel.id, type, userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleCreateChannel:', error);
+      throw error;
+    }
+  }
 
-      // Notify target user if they're online
-      const targetConnection = connections.get(targetUserId);
-      if (targetConnection) {
-        targetConnection.send(msgpack.encode([SERVER_EVENTS.POKE_RECEIVED, {
-          fromUserId: userId,
-          message: message || 'Someone poked you!',
-          pokeId: poke.id
-        }, Date.now()]));
+  async function handleUpdateChannel(userId, payload, ws) {
+    try {
+      const { channelId, name, type, categoryId, topic } = payload;
+
+      const channel = await getRoomChannel(userId, channelId);
+
+      const data = {
+        ...(name !== undefined && { name }),
+        ...(type !== undefined && { type }),
+        ...(topic !== undefined && { topic }),
+        ...(categoryId !== undefined && { categoryId })
+      };
+      const changes = Object.fromEntries(Object.entries(data)
+        .filter(([field, value]) => channel[field] !== value)
+        .map(([field, value]) => [field, { from: channel[field], to: value }]));
+
+      if (Object.keys(changes).length === 0) {
+        return; // Nothing changed
       }
 
-      console.log('✅ [SOCIAL] Poke sent:', { fromUserId: userId, toUserId: targetUserId, message });
+      // Moving to another category puts the channel at its end
+      if (changes.categoryId) {
+        await assertCategoryInRoom(channel.roomId, categoryId);
+        data.position = await getNextPosition('channel', { roomId: channel.roomId, categoryId });
+      }
+
+      // Followers only mirror announcement channels
+      const [updated] = await prisma.$transaction([
+        prisma.channel.update({
+          where: { id: channelId },
+          data
+        }),
+        ...(isAnnouncementChannel(channel) && changes.type
+          ? [prisma.channelFollow.deleteMany({ where: { sourceChannelId: channelId } })]
+          : [])
+      ]);
+
+      clearAllChannelCaches('room channel updated');
+
+      await broadcastChannelLayout(channel.roomId, SERVER_EVENTS.ROOM_CHANNEL_UPDATED, {
+        channel: updated,
+        changes: Object.keys(changes)
+      });
+
+      await recordRoomAudit({
+        roomId: channel.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_UPDATED,
+        targetId: channelId,
+        metadata: changes
+      });
+
+      console.log('📁 [ROOM] Channel updated:', { roomId: channel.roomId, channelId, changes: Object.keys(changes), userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleSendPoke:', error);
+      console.error('❌ [ROOM] Error in handleUpdateChannel:', error);
       throw error;
     }
   }
 
-  async function handleGetUserStatus(userId, payload, ws) {
+  // Deletes the channel with its messages; a room always keeps at least one channel
+  async function handleDeleteChannel(userId, payload, ws) {
     try {
-      const { targetUserId } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
+      const { channelId } = payload;
+
+      const channel = await getRoomChannel(userId, channelId);
+
+      const channelCount = await prisma.channel.count({
+        where: { roomId: channel.roomId }
+      });
+
+      if (channelCount <= 1) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'A room needs at least one channel');
         return;
       }
 
-      // Check if target user is connected to any channel
-      const isOnline = connections.has(targetUserId);
-      
-      // Get user's last seen time
-      const user = await prisma.user.findUnique({
-        where: { id: targetUserId },
-        select: { lastSeen: true, status: true }
+      await prisma.channel.delete({
+        where: { id: channelId }
       });
 
-      ws.send(msgpack.encode([SERVER_EVENTS.USER_STATUS_RESPONSE, {
-        targetUserId,
-        isOnline,
-        lastSeen: user?.lastSeen,
-        status: user?.status || 'offline'
-      }, Date.now()]));
+      await redis.invalidateChannel(channelId);
+      clearAllChannelCaches('room channel deleted');
 
-      console.log('✅ [SOCIAL] User status retrieved:', { targetUserId, isOnline });
+      await broadcastChannelLayout(channel.roomId, SERVER_EVENTS.ROOM_CHANNEL_DELETED, { channelId });
+
+      await recordRoomAudit({
+        roomId: channel.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_DELETED,
+        targetId: channelId,
+        metadata: { name: channel.name, type: channel.type }
+      });
+
+      console.log('🗑️ [ROOM] Channel deleted:', { roomId: channel.roomId, channelId, userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleGetUserStatus:', error);
+      console.error('❌ [ROOM] Error in handleDeleteChannel:', error);
       throw error;
     }
   }
 
-  // Handle check follow status
-  async function handleCheckFollowStatus(userId, payload, ws) {
+  // categoryIds and channels are given in display order; positions are renumbered
+  // from them. Channels are numbered within their (possibly new) category.
+  async function handleReorderChannels(userId, payload, ws) {
     try {
-      const { targetUserId } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
+      const { roomId, categoryIds = [], channels = [] } = payload;
+
+      await assertCanManageChannels(userId, roomId);
+
+      const [roomCategories, roomChannels] = await Promise.all([
+        prisma.roomChannelCategory.findMany({
+          where: { roomId },
+          orderBy: { position: 'asc' },
+          select: { id: true }
+        }),
+        prisma.channel.findMany({
+          where: { roomId },
+          orderBy: { position: 'asc' },
+          select: { id: true, categoryId: true }
+        })
+      ]);
+
+      const categoryIdsInRoom = new Set(roomCategories.map(category => category.id));
+      const channelIdsInRoom = new Set(roomChannels.map(channel => channel.id));
+
+      if (categoryIds.some(categoryId => !categoryIdsInRoom.has(categoryId))
+        || channels.some(item => !channelIdsInRoom.has(item.channelId)
+          || (item.categoryId && !categoryIdsInRoom.has(item.categoryId)))) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Channels and categories must belong to this room');
         return;
       }
 
-      // Check if current user follows target user
-      const isFollowing = await prisma.follow.findFirst({
-        where: {
-          followerId: userId,
-          followingId: targetUserId
-        }
-      });
+      if (new Set(categoryIds).size !== categoryIds.length
+        || new Set(channels.map(item => item.channelId)).size !== channels.length) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Channels and categories can only be listed once');
+        return;
+      }
 
-      // Check if target user follows current user
-      const isFollowedBy = await prisma.follow.findFirst({
-        where: {
-          followerId: targetUserId,
-          followingId: userId
-        }
+      // Anything left out keeps its relative order after the listed ones, so
+      // positions stay unique; a channel without categoryId stays in its category
+      const listedCategoryIds = new Set(categoryIds);
+      const categoryOrder = [
+        ...categoryIds,
+        ...roomCategories.map(category => category.id).filter(categoryId => !listedCategoryIds.has(categoryId))
+      ];
+
+      const currentCategoryIds = new Map(roomChannels.map(channel => [channel.id, channel.categoryId]));
+      const listedChannelIds = new Set(channels.map(item => item.channelId));
+      const channelOrder = [
+        ...channels.map(({ channelId, categoryId }) => ({
+          channelId,
+          categoryId: categoryId === undefined ? currentCategoryIds.get(channelId) : categoryId
+        })),
+        ...roomChannels
+          .filter(channel => !listedChannelIds.has(channel.id))
+          .map(channel => ({ channelId: channel.id, categoryId: channel.categoryId }))
+      ];
+
+      const positionsByCategory = new Map();
+      const channelUpdates = channelOrder.map(({ channelId, categoryId }) => {
+        const position = positionsByCategory.get(categoryId) || 0;
+        positionsByCategory.set(categoryId, position + 1);
+        return prisma.channel.update({
+          where: { id: channelId },
+          data: { categoryId, position }
+        });
       });
 
-      // Get follower counts for the target user
-      const [followerCount, followingCount] = await Promise.all([
-        prisma.follow.count({ where: { followingId: targetUserId } }),
-        prisma.follow.count({ where: { followerId: targetUserId } })
+      await prisma.$transaction([
+        ...categoryOrder.map((categoryId, position) => prisma.roomChannelCategory.update({
+          where: { id: categoryId },
+          data: { position }
+        })),
+        ...channelUpdates
       ]);
 
-      ws.send(msgpack.encode([SERVER_EVENTS.FOLLOW_STATUS_RESPONSE, {
-        targetUserId,
-        isFollowing: !!isFollowing,
-        isFollowedBy: !!isFollowedBy,
-        followerCount,
-        followingCount
-      }, Date.now()]));
+      clearAllChannelCaches('room channels reordered');
 
-      console.log('✅ [SOCIAL] Follow status checked:', { targetUserId, isFollowing: !!isFollowing, isFollowedBy: !!isFollowedBy, followerCount, followingCount });
+      await broadcastChannelLayout(roomId, SERVER_EVENTS.ROOM_CHANNEL_LAYOUT_UPDATED);
+
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNELS_REORDERED,
+        metadata: { categoryIds, channels }
+      });
+
+      console.log('📁 [ROOM] Channels reordered:', { roomId, categories: categoryIds.length, channels: channels.length, userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleCheckFollowStatus:', error);
+      console.error('❌ [ROOM] Error in handleReorderChannels:', error);
       throw error;
     }
   }
 
-  // Handle get user stats
-  async function handleGetUserStats(userId, payload, ws) {
+  async function handleCreateChannelCategory(userId, payload, ws) {
     try {
-      const { targetUserId } = payload;
-      
-      if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
+      const { roomId, name } = payload;
+
+      await assertCanManageChannels(userId, roomId);
+
+      const categoryCount = await prisma.roomChannelCategory.count({
+        where: { roomId }
+      });
+
+      if (categoryCount >= MAX_ROOM_CATEGORIES) {
+        sendRoomError(ws, ERROR_CODES.LIMIT_REACHED, `Rooms can have at most ${MAX_ROOM_CATEGORIES} categories`);
         return;
       }
 
-      // Get follower counts for the target user
-      const [followerCount, followingCount] = await Promise.all([
-        prisma.follow.count({ where: { followingId: targetUserId } }),
-        prisma.follow.count({ where: { followerId: targetUserId } })
-      ]);
+      const category = await prisma.roomChannelCategory.create({
+        data: {
+          roomId,
+          name,
+          position: await getNextPosition('roomChannelCategory', { roomId })
+        }
+      });
 
-      ws.send(msgpack.encode([SERVER_EVENTS.USER_STATS_RESPONSE, {
-        targetUserId,
-        followerCount,
-        followingCount
-      }, Date.now()]));
+      await broadcastChannelLayout(roomId, SERVER_EVENTS.ROOM_CHANNEL_LAYOUT_UPDATED);
 
-      console.log('✅ [SOCIAL] User stats retrieved:', { targetUserId, followerCount, followingCount });
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CATEGORY_CREATED,
+        targetId: category.id,
+        metadata: { name }
+      });
+
+      console.log('📁 [ROOM] Category created:', { roomId, categoryId: category.id, userId });
     } catch (error) {
-      console.error('❌ [SOCIAL] Error in handleGetUserStats:', error);
+      console.error('❌ [ROOM] Error in handleCreateChannelCategory:', error);
       throw error;
     }
   }
 
-  // Room handlers
-  async function handleCreateRoom(userId, payload, ws) {
+  async function handleUpdateChannelCategory(userId, payload, ws) {
     try {
-      const { name, description, privacy = 1 } = payload;
-      
-      if (!name) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room name is required' }, Date.now()]));
-        return;
-      }
+      const { categoryId, name } = payload;
 
-      // Check user's role and room creation limits
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { role: true }
-      });
+      const category = await getRoomCategory(userId, categoryId);
 
-      if (!user) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'User not found' }, Date.now()]));
-        return;
+      if (category.name === name) {
+        return; // Nothing changed
       }
 
-      // Check room creation limits based on role
-      const userRoomCount = await prisma.room.count({
-        where: { createdBy: userId }
+      await prisma.roomChannelCategory.update({
+        where: { id: categoryId },
+        data: { name }
       });
 
-      const maxRooms = user.role === 0 || user.role === 3 ? Infinity : 2; // Admin/Dev: unlimited, Member/Moderator: 2
-      
-      if (userRoomCount >= maxRooms) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: `You can only create ${maxRooms} rooms. Upgrade your role for more rooms.` 
-        }, Date.now()]));
-        return;
-      }
-
-      // Generate unique ID for all rooms
-      const uniqueId = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+      await broadcastChannelLayout(category.roomId, SERVER_EVENTS.ROOM_CHANNEL_LAYOUT_UPDATED);
 
-      // Create room
-      const room = await prisma.room.create({
-        data: {
-          name,
-          description,
-          privacy,
-          uniqueId,
-          createdByUser: {
-            connect: { id: userId }
-          }
-        },
-        include: {
-          createdByUser: {
-            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-          }
-        }
+      await recordRoomAudit({
+        roomId: category.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CATEGORY_UPDATED,
+        targetId: categoryId,
+        metadata: { name: { from: category.name, to: name } }
       });
 
-      // Create associated channel
-      const channel = await prisma.channel.create({
-        data: {
-          name: name,
-          type: 'text-group',
-          createdBy: userId,
-          roomId: room.id,
-          isPrivate: privacy === 0
-        }
-      });
+      console.log('📁 [ROOM] Category updated:', { roomId: category.roomId, categoryId, userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleUpdateChannelCategory:', error);
+      throw error;
+    }
+  }
 
-      // Add creator as room member with OWNER role
-      await prisma.roomMember.create({
-        data: {
-          roomId: room.id,
-          userId: userId,
-          role: 'OWNER'
-        }
-      });
+  // The category's channels move to the end of the uncategorized list
+  async function handleDeleteChannelCategory(userId, payload, ws) {
+    try {
+      const { categoryId } = payload;
 
-      // Add creator as channel member
-      await prisma.channelMember.create({
-        data: {
-          channelId: channel.id,
-          userId: userId
-        }
-      });
+      const category = await getRoomCategory(userId, categoryId);
 
-      // Get the room with member data for the response
-      const roomWithMembers = await prisma.room.findUnique({
-        where: { id: room.id },
-        include: {
-          members: {
-            select: {
-              userId: true,
-              role: true
-            }
-          }
-        }
-      });
+      const [channels, firstPosition] = await Promise.all([
+        prisma.channel.findMany({
+          where: { categoryId },
+          select: { id: true },
+          orderBy: POSITION_ORDER
+        }),
+        getNextPosition('channel', { roomId: category.roomId, categoryId: null })
+      ]);
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_CREATED, {
-        room: {
-          ...room,
-          channelId: channel.id,
-          room: roomWithMembers
-        }
-      }, Date.now()]));
+      await prisma.$transaction([
+        ...channels.map((channel, index) => prisma.channel.update({
+          where: { id: channel.id },
+          data: { categoryId: null, position: firstPosition + index }
+        })),
+        prisma.roomChannelCategory.delete({
+          where: { id: categoryId }
+        })
+      ]);
 
-      console.log('✅ [ROOM] Room created:', { roomId: room.id, name, privacy });
-      
-      // AGGRESSIVE CACHE INVALIDATION - Clear ALL channel caches
-      clearAllChannelCaches('room creation');
+      clearAllChannelCaches('room category deleted');
 
-      // Invalidate public channels cache if this is a public room
-      if (privacy === 1) {
-        redis.del('channels:public').then(() => {
-          console.log('🗑️ [CACHE] Invalidated public channels cache for new public room');
-        }).catch(error => {
-          console.error('❌ [CACHE] Failed to invalidate public channels cache:', error);
-        });
-        
-        // Also invalidate all user caches since they need to see the new public room
-        redis.keys('channels:user:*').then(keys => {
-          if (keys.length > 0) {
-            redis.del(...keys).then(() => {
-              console.log('🗑️ [CACHE] Invalidated all user caches for new public room');
-            }).catch(error => {
-              console.error('❌ [CACHE] Failed to invalidate user caches:', error);
-            });
-          }
-        }).catch(error => {
-          console.error('❌ [CACHE] Failed to get user cache keys:', error);
-        });
-      }
+      await broadcastChannelLayout(category.roomId, SERVER_EVENTS.ROOM_CHANNEL_LAYOUT_UPDATED);
+
+      await recordRoomAudit({
+        roomId: category.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CATEGORY_DELETED,
+        targetId: categoryId,
+        metadata: { name: category.name, channelIds: channels.map(channel => channel.id) }
+      });
+
+      console.log('🗑️ [ROOM] Category deleted:', { roomId: category.roomId, categoryId, userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleCreateRoom:', error);
+      console.error('❌ [ROOM] Error in handleDeleteChannelCategory:', error);
       throw error;
     }
   }
 
-  async function handleJoinRoom(userId, payload, ws) {
-    try {
-      const { roomId, inviteCode } = payload;
-      
-      if (!roomId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room ID is required' }, Date.now()]));
-        return;
+  // Announcement follows - the target channel's room needs MANAGE_CHANNELS
+  const CHANNEL_FOLLOW_INCLUDE = {
+    sourceChannel: {
+      select: {
+        id: true,
+        name: true,
+        roomId: true,
+        room: { select: { id: true, name: true, uniqueId: true } }
       }
+    }
+  };
 
-      // Get room details
-      const room = await prisma.room.findUnique({
-        where: { id: roomId },
-        include: {
-          createdByUser: {
-            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-          },
-          channel: true
+  async function handleFollowChannel(userId, payload, ws) {
+    try {
+      const { channelId, targetChannelId } = payload;
+
+      const source = await prisma.channel.findUnique({
+        where: { id: channelId },
+        select: {
+          id: true,
+          type: true,
+          roomId: true,
+          room: { select: { privacy: true, isActive: true } }
         }
       });
 
-      if (!room) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room not found' }, Date.now()]));
+      if (!source?.roomId) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Channel not found');
         return;
       }
 
-      if (!room.isActive) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room is not active' }, Date.now()]));
+      if (!isAnnouncementChannel(source)) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Only announcement channels can be followed');
         return;
       }
 
-      // Check if user is already a member
-      const existingMember = await prisma.roomMember.findFirst({
-        where: { roomId, userId }
-      });
-
-      if (existingMember) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'You are already a member of this room' }, Date.now()]));
+      if (!source.room.isActive) {
+        sendRoomError(ws, ERROR_CODES.ROOM_INACTIVE, 'This room is archived');
         return;
       }
 
-      // Check privacy and invite code
-      if (room.privacy === 0) {
-        if (!inviteCode) {
-          ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Invite code is required for private rooms' }, Date.now()]));
-          return;
-        }
-        
-        // Validate invite code
-        const validInvite = await prisma.roomInvite.findFirst({
-          where: {
-            roomId,
-            inviteCode,
-            isUsed: false,
-            OR: [
-              { expiresAt: null },
-              { expiresAt: { gt: new Date() } }
-            ]
-          }
-        });
+      const target = await getRoomChannel(userId, targetChannelId);
+
+      if (target.roomId === source.roomId) {
+        sendRoomError(ws, ERROR_CODES.VALIDATION_FAILED, 'Announcement channels can only be followed from another room');
+        return;
+      }
 
-        if (!validInvite) {
-          ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Invalid or expired invite code' }, Date.now()]));
+      // Private rooms' announcements can only be followed by their members
+      if (source.room.privacy !== 1) {
+        const membership = await prisma.roomMember.findUnique({
+          where: { roomId_userId: { roomId: source.roomId, userId } },
+          select: { id: true }
+        });
+        if (!membership) {
+          sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'You are not a member of this room');
           return;
         }
       }
 
-      // Check room capacity
-      const memberCount = await prisma.roomMember.count({
-        where: { roomId }
+      const existingFollow = await prisma.channelFollow.findUnique({
+        where: {
+          sourceChannelId_targetChannelId: { sourceChannelId: channelId, targetChannelId }
+        }
       });
 
-      if (memberCount >= room.maxMembers) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room is full' }, Date.now()]));
+      if (existingFollow) {
+        sendRoomError(ws, ERROR_CODES.CONFLICT, 'This channel already follows that announcement channel');
         return;
       }
 
-      // Add user as room member
-      await prisma.roomMember.create({
+      const follow = await prisma.channelFollow.create({
         data: {
-          roomId: room.id,
-          userId: userId,
-          role: 'MEMBER'
-        }
+          sourceChannelId: channelId,
+          targetChannelId,
+          createdBy: userId
+        },
+        include: CHANNEL_FOLLOW_INCLUDE
       });
 
-      // Add user as channel member
-      await prisma.channelMember.create({
-        data: {
-          channelId: room.channel.id,
-          userId: userId
-        }
-      });
+      await broadcastToRoom(target.roomId, SERVER_EVENTS.CHANNEL_FOLLOWED, { roomId: target.roomId, follow });
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_JOINED, {
-        room: {
-          ...room,
-          channelId: room.channel.id
-        }
-      }, Date.now()]));
+      await recordRoomAudit({
+        roomId: target.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_FOLLOWED,
+        targetId: targetChannelId,
+        metadata: { sourceChannelId: channelId, sourceRoomId: source.roomId }
+      });
 
-      console.log('✅ [ROOM] User joined room:', { roomId, userId });
-      
-      // Clear caches after joining room
-      clearAllChannelCaches('user joined room');
+      console.log('📣 [ROOM] Announcement channel followed:', { channelId, targetChannelId, userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleJoinRoom:', error);
+      console.error('❌ [ROOM] Error in handleFollowChannel:', error);
       throw error;
     }
   }
 
-  async function handleLeaveRoom(userId, payload, ws) {
+  async function handleUnfollowChannel(userId, payload, ws) {
     try {
-      const { roomId } = payload;
-      
-      if (!roomId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room ID is required' }, Date.now()]));
-        return;
-      }
+      const { channelId, targetChannelId } = payload;
 
-      // Check if user is a member
-      const roomMember = await prisma.roomMember.findFirst({
-        where: { roomId, userId },
-        include: { room: true }
+      const target = await getRoomChannel(userId, targetChannelId);
+
+      const { count } = await prisma.channelFollow.deleteMany({
+        where: { sourceChannelId: channelId, targetChannelId }
       });
 
-      if (!roomMember) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'You are not a member of this room' }, Date.now()]));
+      if (count === 0) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'This channel does not follow that announcement channel');
         return;
       }
 
-      // Remove from room
-      await prisma.roomMember.delete({
-        where: { id: roomMember.id }
+      await broadcastToRoom(target.roomId, SERVER_EVENTS.CHANNEL_UNFOLLOWED, {
+        roomId: target.roomId,
+        sourceChannelId: channelId,
+        targetChannelId
       });
 
-      // Remove from channel
-      const channelMember = await prisma.channelMember.findFirst({
-        where: { 
-          channelId: roomMember.room.channel?.id,
-          userId 
-        }
+      await recordRoomAudit({
+        roomId: target.roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CHANNEL_UNFOLLOWED,
+        targetId: targetChannelId,
+        metadata: { sourceChannelId: channelId }
       });
 
-      if (channelMember) {
-        await prisma.channelMember.delete({
-          where: { id: channelMember.id }
-        });
-      }
-
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_LEFT, { roomId }, Date.now()]));
-
-      console.log('✅ [ROOM] User left room:', { roomId, userId });
-      
-      // Clear caches after leaving room
-      clearAllChannelCaches('user left room');
+      console.log('📣 [ROOM] Announcement channel unfollowed:', { channelId, targetChannelId, userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleLeaveRoom:', error);
+      console.error('❌ [ROOM] Error in handleUnfollowChannel:', error);
       throw error;
     }
   }
 
-  async function handleGetRoomInfo(userId, payload, ws) {
+  // Announcement channels a room channel follows
+  async function handleFetchChannelFollows(userId, payload, ws) {
     try {
-      const { roomId } = payload;
-      
-      if (!roomId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room ID is required' }, Date.now()]));
-        return;
-      }
-
-      const room = await prisma.room.findUnique({
-        where: { id: roomId },
-        include: {
-          createdByUser: {
-            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-          },
-          channel: true,
-          members: {
-            include: {
-              user: {
-                select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-              }
-            }
-          }
-        }
-      });
+      const { channelId } = payload;
 
-      if (!room) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room not found' }, Date.now()]));
-        return;
-      }
+      const target = await getRoomChannel(userId, channelId);
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_INFO_RESPONSE, { room }, Date.now()]));
+      const follows = await prisma.channelFollow.findMany({
+        where: { targetChannelId: target.id },
+        include: CHANNEL_FOLLOW_INCLUDE,
+        orderBy: { createdAt: 'asc' }
+      });
 
-      console.log('✅ [ROOM] Room info retrieved:', { roomId });
+      ws.send(encodeFrame(SERVER_EVENTS.CHANNEL_FOLLOWS_LOADED, {
+        channelId,
+        follows
+      }, ws.requestId));
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleGetRoomInfo:', error);
+      console.error('❌ [ROOM] Error in handleFetchChannelFollows:', error);
       throw error;
     }
   }
 
-  async function handleGetUserRooms(userId, payload, ws) {
-    try {
-      const rooms = await prisma.room.findMany({
-        where: {
-          members: {
-            some: { userId }
-          }
-        },
-        include: {
-          createdByUser: {
-            select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-          },
-          channel: true,
-          _count: {
-            select: { members: true }
-          }
-        },
-        orderBy: { createdAt: 'desc' }
-      });
+  // Room moderation
+  // The actor must be a member holding `permission` and must outrank the target when the target is a member
+  async function getModerationContext(actorId, roomId, targetUserId, permission) {
+    if (actorId === targetUserId) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'You cannot moderate yourself');
+    }
 
-      ws.send(msgpack.encode([SERVER_EVENTS.USER_ROOMS_RESPONSE, { rooms }, Date.now()]));
+    const room = await prisma.room.findUnique({
+      where: { id: roomId },
+      select: { id: true }
+    });
 
-      console.log('✅ [ROOM] User rooms retrieved:', { userId, count: rooms.length });
-    } catch (error) {
-      console.error('❌ [ROOM] Error in handleGetUserRooms:', error);
-      throw error;
+    if (!room) {
+      throw new EventError(ERROR_CODES.NOT_FOUND, 'Room not found');
+    }
+
+    const [actor, target, permissions] = await Promise.all([
+      prisma.roomMember.findUnique({
+        where: { roomId_userId: { roomId, userId: actorId } },
+        select: { id: true, role: true }
+      }),
+      prisma.roomMember.findUnique({
+        where: { roomId_userId: { roomId, userId: targetUserId } },
+        select: { id: true, role: true, timeoutUntil: true }
+      }),
+      resolveRoomPermissions(actorId, roomId)
+    ]);
+
+    if (!actor || (permission && !hasPermission(permissions, permission))) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'You do not have permission to moderate this room');
+    }
+
+    if (target && ROOM_ROLE_RANK[target.role] >= ROOM_ROLE_RANK[actor.role]) {
+      throw new EventError(ERROR_CODES.FORBIDDEN, 'You cannot moderate a member with an equal or higher role');
     }
+
+    return { room, actor, target };
   }
 
-  async function handleSearchRooms(userId, payload, ws) {
-    try {
-      const { query } = payload;
-      
-      console.log('🔍 [SEARCH] Search request:', { userId, query, queryLength: query?.length });
-      console.log('🔍 [SEARCH] Full payload:', payload);
-      
-      // Check if query looks like an invite code (alphanumeric, 20+ chars)
-      const isInviteCode = /^[a-zA-Z0-9]{20,}$/.test(query);
-      
-      let rooms = [];
-      let users = [];
-      
-      if (isInviteCode) {
-        // Search for room by invite code
-        const invite = await prisma.roomInvite.findFirst({
-          where: {
-            inviteCode: query,
-            isUsed: false,
-            OR: [
-              { expiresAt: null },
-              { expiresAt: { gt: new Date() } }
-            ]
-          },
-          include: {
-            room: {
-              include: {
-                createdByUser: {
-                  select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-                },
-                _count: {
-                  select: { members: true }
-                }
-              }
-            }
-          }
-        });
-        
-        if (invite) {
-          rooms = [invite.room];
-        }
-      } else {
-        // Search for both public and private rooms
-        // Public rooms: show all
-        // Private rooms: show all in search results
-        console.log('🔍 [SEARCH] Searching with query:', query || 'EMPTY_QUERY');
-        
-        // Check total counts
-        const totalPublicRooms = await prisma.room.count({
-          where: { privacy: 1, isActive: true }
-        });
-        console.log('🔍 [SEARCH] Total public rooms in database:', totalPublicRooms);
-        
-        const publicRooms = await prisma.room.findMany({
-          where: {
-            AND: [
-              { privacy: 1 }, // Public rooms
-              { isActive: true },
-              ...(query && query.trim() ? [{
-                OR: [
-                  { name: { contains: query, mode: 'insensitive' } },
-                  { description: { contains: query, mode: 'insensitive' } }
-                ]
-              }] : [])
-            ]
-          },
-          include: {
-            createdByUser: {
-              select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-            },
-            _count: {
-              select: { members: true }
-            }
-          },
-          orderBy: { createdAt: 'desc' },
-          take: 10
-        });
+  // Drop a member from the room and its channels, telling the room and the removed user
+  async function removeRoomMember(room, target, targetUserId, details) {
+    await prisma.roomMember.delete({
+      where: { id: target.id }
+    });
 
-        // Private rooms: show all private rooms in search results
-        console.log('🔍 [SEARCH] Searching private rooms with query:', query);
-        
-        // First, let's check if there are any private rooms at all
-        const totalPrivateRooms = await prisma.room.count({
-          where: { privacy: 0, isActive: true }
-        });
-        console.log('🔍 [SEARCH] Total private rooms in database:', totalPrivateRooms);
-        
-        const privateRooms = await prisma.room.findMany({
-          where: {
-            AND: [
-              { privacy: 0 }, // Private rooms
-              { isActive: true },
-              ...(query && query.trim() ? [{
-                OR: [
-                  { name: { contains: query, mode: 'insensitive' } },
-                  { description: { contains: query, mode: 'insensitive' } }
-                ]
-              }] : [])
-            ]
-          },
-          include: {
-            createdByUser: {
-              select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-            },
-            _count: {
-              select: { members: true }
-            }
-          },
-          orderBy: { createdAt: 'desc' },
-          take: 10
-        });
-        
-        console.log('🔍 [SEARCH] Private rooms found:', privateRooms.length, privateRooms.map(r => ({ id: r.id, name: r.name, privacy: r.privacy })));
+    await removeFromRoomChannels(prisma, room.id, targetUserId);
 
-        // Search for users
-        if (query && query.trim().length > 0) {
-          users = await prisma.user.findMany({
-            where: {
-              AND: [
-                { id: { not: userId } }, // Don't include current user
-                {
-                  OR: [
-                    { username: { contains: query, mode: 'insensitive' } },
-                    { displayName: { contains: query, mode: 'insensitive' } }
-                  ]
-                }
-              ]
-            },
-            select: {
-              id: true,
-              username: true,
-              displayName: true,
-              avatarUrl: true,
-              role: true,
-              status: true,
-              lastSeen: true
-            },
-            orderBy: { lastSeen: 'desc' },
-            take: 10
-          });
-        }
+    await broadcastToRoom(room.id, SERVER_EVENTS.USER_LEFT, {
+      userId: targetUserId,
+      roomId: room.id,
+      ...details
+    });
 
-        rooms = [...publicRooms, ...privateRooms];
-        console.log('🔍 [SEARCH] Final results:', { 
-          publicRooms: publicRooms.length, 
-          privateRooms: privateRooms.length, 
-          totalRooms: rooms.length,
-          users: users.length 
-        });
+    await sendToUser(targetUserId, SERVER_EVENTS.ROOM_LEFT, { roomId: room.id, ...details });
+
+    clearAllChannelCaches(`member removed (${details.action})`);
+  }
+
+  async function broadcastRoomMemberUpdate(room, payload) {
+    await broadcastToRoom(room.id, SERVER_EVENTS.ROOM_MEMBER_UPDATED, { roomId: room.id, ...payload });
+  }
+
+  async function handleKickMember(userId, payload, ws) {
+    try {
+      const { roomId, targetUserId, reason = null } = payload;
+
+      const { room, target } = await getModerationContext(userId, roomId, targetUserId, PERMISSIONS.MANAGE_MEMBERS);
+
+      if (!target) {
+        sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'User is not a member of this room');
+        return;
       }
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOMS_SEARCH_RESPONSE, { rooms, users }, Date.now()]));
+      await removeRoomMember(room, target, targetUserId, { action: 'kick', reason, moderatorId: userId });
 
-      console.log('✅ [ROOM] Search completed:', { query, isInviteCode, roomsCount: rooms.length, usersCount: users.length });
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.MEMBER_KICKED,
+        targetUserId,
+        metadata: { reason }
+      });
+
+      console.log('👢 [ROOM] Member kicked:', { roomId, targetUserId, moderatorId: userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleSearchRooms:', error);
+      console.error('❌ [ROOM] Error in handleKickMember:', error);
       throw error;
     }
   }
 
-  async function handleCreateRoomInvite(userId, payload, ws) {
+  async function handleBanMember(userId, payload, ws) {
     try {
-      const { roomId, message, expiresInHours = 24 } = payload;
-      
-      if (!roomId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room ID is required' }, Date.now()]));
-        return;
+      const { roomId, targetUserId, reason = null, durationSeconds = null } = payload;
+
+      const { room, target } = await getModerationContext(userId, roomId, targetUserId, PERMISSIONS.BAN_MEMBERS);
+
+      // Bans can be issued ahead of time for users who are not in the room
+      if (!target) {
+        const user = await prisma.user.findUnique({
+          where: { id: targetUserId },
+          select: { id: true }
+        });
+
+        if (!user) {
+          sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'User not found');
+          return;
+        }
       }
 
-      console.log('🔍 [INVITE] Creating invite for room:', roomId, 'by user:', userId);
-      
-      // Check if user is a member of the room
-      const roomMember = await prisma.roomMember.findFirst({
-        where: { roomId, userId },
-        include: { room: true }
+      const expiresAt = durationSeconds ? new Date(Date.now() + durationSeconds * 1000) : null;
+      const ban = await prisma.roomBan.upsert({
+        where: {
+          roomId_userId: { roomId, userId: targetUserId }
+        },
+        create: { roomId, userId: targetUserId, bannedBy: userId, reason, expiresAt },
+        update: { bannedBy: userId, reason, expiresAt, createdAt: new Date() }
       });
 
-      console.log('🔍 [INVITE] Room member found:', roomMember ? {
-        userId: roomMember.userId,
-        role: roomMember.role,
-        roomId: roomMember.roomId
-      } : 'null');
-
-      if (!roomMember) {
-        console.log('❌ [INVITE] User is not a member of the room');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'You are not a member of this room' }, Date.now()]));
-        return;
+      if (target) {
+        await removeRoomMember(room, target, targetUserId, { action: 'ban', reason, expiresAt, moderatorId: userId });
       }
 
-      // Check if user has permission to create invites (ONLY OWNER)
-      console.log('🔍 [INVITE] Checking role:', roomMember.role, 'isOwner:', roomMember.role === 'OWNER');
-      if (roomMember.role !== 'OWNER') {
-        console.log('❌ [INVITE] User is not the room owner');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Only room owners can create invite links' }, Date.now()]));
+      await broadcastRoomMemberUpdate(room, {
+        userId: targetUserId,
+        action: 'ban',
+        reason,
+        expiresAt: ban.expiresAt,
+        moderatorId: userId
+      });
+
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.MEMBER_BANNED,
+        targetUserId,
+        metadata: { reason, expiresAt }
+      });
+
+      console.log('🔨 [ROOM] Member banned:', { roomId, targetUserId, expiresAt, moderatorId: userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleBanMember:', error);
+      throw error;
+    }
+  }
+
+  async function handleTimeoutMember(userId, payload, ws) {
+    try {
+      const { roomId, targetUserId, reason = null, durationSeconds } = payload;
+
+      const { room, target } = await getModerationContext(userId, roomId, targetUserId, PERMISSIONS.MANAGE_MEMBERS);
+
+      if (!target) {
+        sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'User is not a member of this room');
         return;
       }
 
-      // Generate unique invite code
-      const inviteCode = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-      
-      // Set expiration date
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+      // A duration of 0 lifts an active timeout
+      const timeoutUntil = durationSeconds > 0 ? new Date(Date.now() + durationSeconds * 1000) : null;
+      await prisma.roomMember.update({
+        where: { id: target.id },
+        data: { timeoutUntil }
+      });
 
-      // Create invite
-      const invite = await prisma.roomInvite.create({
-        data: {
-          roomId,
-          invitedBy: userId,
-          message: message || null,
-          expiresAt,
-          inviteCode
-        },
-        include: {
-          room: {
-            select: {
-              id: true,
-              name: true,
-              description: true,
-              privacy: true,
-              createdByUser: {
-                select: { id: true, username: true, displayName: true, avatarUrl: true }
-              }
-            }
-          },
-          invitedByUser: {
-            select: { id: true, username: true, displayName: true, avatarUrl: true }
-          }
-        }
+      await broadcastRoomMemberUpdate(room, {
+        userId: targetUserId,
+        action: timeoutUntil ? 'timeout' : 'timeout_cleared',
+        reason,
+        timeoutUntil,
+        moderatorId: userId
       });
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_INVITE_CREATED, { invite }, Date.now()]));
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.MEMBER_TIMED_OUT,
+        targetUserId,
+        metadata: { reason, timeoutUntil }
+      });
 
-      console.log('✅ [ROOM] Invite created:', { roomId, inviteCode, expiresAt });
+      console.log('⏳ [ROOM] Member timeout updated:', { roomId, targetUserId, timeoutUntil, moderatorId: userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleCreateRoomInvite:', error);
+      console.error('❌ [ROOM] Error in handleTimeoutMember:', error);
       throw error;
     }
   }
 
-  async function handleUseRoomInvite(userId, payload, ws) {
+  async function handleUnbanMember(userId, payload, ws) {
     try {
-      const { inviteCode } = payload;
-      
-      console.log('🔍 [USE_INVITE] Processing invite code:', { userId, inviteCode, payload });
-      
-      if (!inviteCode) {
-        console.log('❌ [USE_INVITE] No invite code provided');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Invite code is required' }, Date.now()]));
+      const { roomId, targetUserId } = payload;
+
+      const { room } = await getModerationContext(userId, roomId, targetUserId, PERMISSIONS.BAN_MEMBERS);
+
+      const { count } = await prisma.roomBan.deleteMany({
+        where: { roomId, userId: targetUserId }
+      });
+
+      if (count === 0) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'User is not banned from this room');
         return;
       }
 
-      // Find the invite
-      console.log('🔍 [USE_INVITE] Searching for invite with code:', inviteCode);
-      const invite = await prisma.roomInvite.findFirst({
-        where: {
-          inviteCode,
-          isUsed: false,
-          expiresAt: { gt: new Date() }
-        },
-        include: {
-          room: {
-            include: {
-              channel: true,
-              createdByUser: {
-                select: { id: true, username: true, displayName: true, avatarUrl: true, role: true }
-              }
-            }
-          }
-        }
+      await broadcastRoomMemberUpdate(room, {
+        userId: targetUserId,
+        action: 'unban',
+        moderatorId: userId
       });
 
-      console.log('🔍 [USE_INVITE] Invite found:', invite ? { 
-        id: invite.id, 
-        roomId: invite.roomId, 
-        isUsed: invite.isUsed,
-        expiresAt: invite.expiresAt,
-        inviteCode: invite.inviteCode
-      } : 'null');
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.MEMBER_UNBANNED,
+        targetUserId
+      });
 
-      if (!invite) {
-        console.log('❌ [USE_INVITE] Invalid or expired invite code - no invite found');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'Invalid or expired invite code',
-          type: 'INVALID_INVITE_CODE'
-        }, Date.now()]));
-        return;
-      }
+      console.log('✅ [ROOM] Member unbanned:', { roomId, targetUserId, moderatorId: userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleUnbanMember:', error);
+      throw error;
+    }
+  }
 
-      // Double-check invite is not used
-      if (invite.isUsed) {
-        console.log('❌ [USE_INVITE] Invite code already used');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'Invite code has already been used',
-          type: 'INVALID_INVITE_CODE'
-        }, Date.now()]));
-        return;
-      }
+  // Role management
+  // MANAGE_ROLES can assign roles below the actor's own; OWNER only moves by transfer or succession
+  async function handleSetMemberRole(userId, payload, ws) {
+    try {
+      const { roomId, targetUserId, role } = payload;
 
-      // Double-check invite is not expired
-      if (invite.expiresAt && new Date() > invite.expiresAt) {
-        console.log('❌ [USE_INVITE] Invite code has expired');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'Invite code has expired',
-          type: 'INVALID_INVITE_CODE'
-        }, Date.now()]));
+      const { room, actor, target } = await getModerationContext(userId, roomId, targetUserId, PERMISSIONS.MANAGE_ROLES);
+
+      if (!target) {
+        sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'User is not a member of this room');
         return;
       }
 
-      // Validate room and channel exist
-      if (!invite.room) {
-        console.log('❌ [USE_INVITE] Room not found for invite');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'Room not found',
-          type: 'INVALID_INVITE_CODE'
-        }, Date.now()]));
+      if (ROOM_ROLE_RANK[role] >= ROOM_ROLE_RANK[actor.role]) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'You can only assign roles below your own');
         return;
       }
 
-      if (!invite.room.channel) {
-        console.log('❌ [USE_INVITE] Channel not found for room');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'Channel not found',
-          type: 'INVALID_INVITE_CODE'
-        }, Date.now()]));
-        return;
+      if (target.role === role) {
+        return; // Already has the role - nothing to do
       }
 
-      // Check if user is already a member
-      const existingMember = await prisma.roomMember.findFirst({
-        where: { roomId: invite.roomId, userId }
+      await prisma.roomMember.update({
+        where: { id: target.id },
+        data: { role }
       });
 
-      if (existingMember) {
-        console.log('❌ [USE_INVITE] User already a member of this room');
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { 
-          message: 'You are already a member of this room',
-          type: 'ALREADY_MEMBER'
-        }, Date.now()]));
-        return;
-      }
+      // Channel lists carry room member roles
+      clearAllChannelCaches('member role changed');
 
-      // Check room capacity
-      const memberCount = await prisma.roomMember.count({
-        where: { roomId: invite.roomId }
+      await broadcastRoomMemberUpdate(room, {
+        userId: targetUserId,
+        action: 'role',
+        role,
+        previousRole: target.role,
+        moderatorId: userId
       });
 
-      if (memberCount >= invite.room.maxMembers) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room is full' }, Date.now()]));
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.MEMBER_ROLE_UPDATED,
+        targetUserId,
+        metadata: { role, previousRole: target.role }
+      });
+
+      console.log('🎖️ [ROOM] Member role changed:', { roomId, targetUserId, role, previousRole: target.role, moderatorId: userId });
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleSetMemberRole:', error);
+      throw error;
+    }
+  }
+
+  // The current owner steps down to ADMIN
+  async function handleTransferRoomOwnership(userId, payload, ws) {
+    try {
+      const { roomId, targetUserId } = payload;
+
+      const { room, actor, target } = await getModerationContext(userId, roomId, targetUserId, null);
+
+      if (actor.role !== 'OWNER') {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'Only the room owner can transfer ownership');
         return;
       }
 
-      // Add user as room member
-      console.log('🔍 [USE_INVITE] Adding user as room member:', { roomId: invite.roomId, userId });
-      await prisma.roomMember.create({
-        data: {
-          roomId: invite.roomId,
-          userId: userId,
-          role: 'MEMBER'
-        }
-      });
+      if (!target) {
+        sendRoomError(ws, ERROR_CODES.NOT_A_MEMBER, 'User is not a member of this room');
+        return;
+      }
 
-      // Add user as channel member
-      console.log('🔍 [USE_INVITE] Adding user as channel member:', { channelId: invite.room.channel.id, userId });
-      await prisma.channelMember.create({
-        data: {
-          channelId: invite.room.channel.id,
-          userId: userId
-        }
-      });
+      await prisma.$transaction([
+        prisma.roomMember.update({
+          where: { id: target.id },
+          data: { role: 'OWNER' }
+        }),
+        prisma.roomMember.update({
+          where: { id: actor.id },
+          data: { role: 'ADMIN' }
+        })
+      ]);
 
-      // Mark invite as used
-      await prisma.roomInvite.update({
-        where: { id: invite.id },
-        data: {
-          isUsed: true,
-          usedAt: new Date(),
-          usedBy: userId
-        }
-      });
+      clearAllChannelCaches('room ownership transferred');
 
-      // Get the complete channel data with room members for the response
-      const channelWithRoomData = await prisma.channel.findUnique({
-        where: { id: invite.room.channel.id },
-        include: {
-          room: {
-            select: {
-              id: true,
-              members: {
-                select: {
-                  userId: true,
-                  role: true
-                }
-              }
-            }
-          },
-          createdByUser: {
-            select: {
-              id: true,
-              username: true,
-              displayName: true,
-              avatarUrl: true,
-              role: true
-            }
-          }
-        }
+      await broadcastRoomMemberUpdate(room, {
+        userId: targetUserId,
+        action: 'role',
+        role: 'OWNER',
+        previousRole: target.role,
+        moderatorId: userId
+      });
+      await broadcastRoomMemberUpdate(room, {
+        userId,
+        action: 'role',
+        role: 'ADMIN',
+        previousRole: 'OWNER',
+        moderatorId: userId
       });
 
-      console.log('🔍 [USE_INVITE] Sending success response');
-      const responseData = {
-        room: {
-          ...invite.room,
-          channelId: invite.room.channel.id
-        },
-        channel: channelWithRoomData
-      };
-      console.log('🔍 [USE_INVITE] Response data:', responseData);
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_INVITE_USED, responseData, Date.now()]));
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED,
+        targetUserId,
+        metadata: { previousRole: target.role }
+      });
 
-      console.log('✅ [ROOM] User joined via invite:', { roomId: invite.roomId, userId, inviteCode });
-      
-      // Clear caches after joining via invite
-      clearAllChannelCaches('user joined via invite');
+      console.log('👑 [ROOM] Ownership transferred:', { roomId, from: userId, to: targetUserId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleUseRoomInvite:', error);
+      console.error('❌ [ROOM] Error in handleTransferRoomOwnership:', error);
       throw error;
     }
   }
 
-  async function handleCreateRoomInvite(userId, payload, ws) {
+  // Per-role permission overrides on the room, or on one of its channels when channelId is set.
+  // allow = deny = 0 removes the override.
+  async function handleSetPermissionOverrides(userId, payload, ws) {
     try {
-      const { roomId, message, expiresInHours = 24 } = payload;
-      
-      if (!roomId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Room ID is required' }, Date.now()]));
+      const { roomId, channelId = null, role, allow = 0, deny = 0 } = payload;
+
+      const [actor, permissions, room] = await Promise.all([
+        prisma.roomMember.findUnique({
+          where: { roomId_userId: { roomId, userId } },
+          select: { role: true }
+        }),
+        resolveRoomPermissions(userId, roomId),
+        prisma.room.findUnique({
+          where: { id: roomId },
+          select: { id: true, permissionOverrides: true }
+        })
+      ]);
+
+      if (!room) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Room not found');
         return;
       }
 
-      // Check if user is room member with appropriate permissions
-      const roomMember = await prisma.roomMember.findFirst({
-        where: { roomId, userId },
-        include: { room: true }
-      });
+      if (!actor || !hasPermission(permissions, PERMISSIONS.MANAGE_ROLES)) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to manage permissions in this room');
+        return;
+      }
 
-      if (!roomMember || !['OWNER', 'ADMIN', 'MODERATOR'].includes(roomMember.role)) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ROOM_ERROR, { message: 'Insufficient permissions to create invites' }, Date.now()]));
+      if (!OVERRIDABLE_ROLES.includes(role) || ROOM_ROLE_RANK[role] >= ROOM_ROLE_RANK[actor.role]) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'You can only change permissions for roles below your own');
         return;
       }
 
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+      if ((allow & ~permissions) !== 0) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'You cannot grant permissions you do not have');
+        return;
+      }
 
-      // Generate unique invite code
-      const inviteCode = crypto.randomBytes(20).toString('hex');
+      const target = channelId
+        ? await prisma.channel.findFirst({
+          where: { id: channelId, roomId },
+          select: { id: true, permissionOverrides: true }
+        })
+        : room;
 
-      const invite = await prisma.roomInvite.create({
-        data: {
-          roomId,
-          invitedBy: userId,
-          message,
-          inviteCode,
-          expiresAt
-        }
+      if (!target) {
+        sendRoomError(ws, ERROR_CODES.NOT_FOUND, 'Channel not found in this room');
+        return;
+      }
+
+      const overrides = { ...(target.permissionOverrides || {}) };
+      if (allow === 0 && deny === 0) {
+        delete overrides[role];
+      } else {
+        overrides[role] = { allow, deny };
+      }
+
+      if (channelId) {
+        await prisma.channel.update({ where: { id: channelId }, data: { permissionOverrides: overrides } });
+      } else {
+        await prisma.room.update({ where: { id: roomId }, data: { permissionOverrides: overrides } });
+      }
+
+      clearAllChannelCaches('permission overrides updated');
+
+      await broadcastToRoom(roomId, SERVER_EVENTS.ROOM_PERMISSIONS_UPDATED, {
+        roomId,
+        channelId,
+        role,
+        allow,
+        deny,
+        updatedBy: userId
       });
 
-      ws.send(msgpack.encode([SERVER_EVENTS.ROOM_INVITE_CREATED, { invite }, Date.now()]));
+      await recordRoomAudit({
+        roomId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.PERMISSIONS_UPDATED,
+        targetId: channelId,
+        metadata: { role, allow, deny }
+      });
 
-      console.log('✅ [ROOM] Room invite created:', { roomId, inviteId: invite.id });
+      console.log('🔐 [ROOM] Permission overrides updated:', { roomId, channelId, role, allow, deny, userId });
     } catch (error) {
-      console.error('❌ [ROOM] Error in handleCreateRoomInvite:', error);
+      console.error('❌ [ROOM] Error in handleSetPermissionOverrides:', error);
+      throw error;
+    }
+  }
+
+  async function handleFetchRoomAuditLog(userId, payload, ws) {
+    try {
+      const { roomId, action, actorId, targetUserId, before, limit } = payload;
+
+      if (!hasPermission(await resolveRoomPermissions(userId, roomId), PERMISSIONS.VIEW_AUDIT_LOG)) {
+        sendRoomError(ws, ERROR_CODES.FORBIDDEN, 'You do not have permission to view this room\'s audit log');
+        return;
+      }
+
+      const { entries, hasMore } = await fetchRoomAuditLog(roomId, { action, actorId, targetUserId, before, limit });
+
+      ws.send(encodeFrame(SERVER_EVENTS.ROOM_AUDIT_LOG_LOADED, { roomId, entries, hasMore }, ws.requestId));
+    } catch (error) {
+      console.error('❌ [ROOM] Error in handleFetchRoomAuditLog:', error);
       throw error;
     }
   }
 
+  // Promote the longest-tenured admin when the owner leaves, falling back to
+  // moderators and then members. Run inside the leave transaction; a candidate who
+  // left or changed role meanwhile is skipped. Returns the promoted member (with
+  // their old role) or null.
+  async function promoteRoomSuccessor(tx, roomId) {
+    for (const role of ['ADMIN', 'MODERATOR', 'MEMBER']) {
+      const candidates = await tx.roomMember.findMany({
+        where: { roomId, role },
+        orderBy: { joinedAt: 'asc' },
+        select: { id: true, userId: true, role: true }
+      });
+
+      for (const candidate of candidates) {
+        const { count } = await tx.roomMember.updateMany({
+          where: { id: candidate.id, role },
+          data: { role: 'OWNER' }
+        });
+        if (count === 1) return candidate;
+      }
+    }
+
+    return null;
+  }
 
   // DM handlers
   async function handleCreateDM(userId, payload, ws) {
@@ -3466,12 +6427,12 @@ function startServer() {
       const { userId: targetUserId } = payload;
       
       if (!targetUserId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user ID is required' }, Date.now()]));
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Target user ID is required');
         return;
       }
 
       if (targetUserId === userId) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Cannot create DM with yourself' }, Date.now()]));
+        sendError(ws, ERROR_CODES.VALIDATION_FAILED, 'Cannot create DM with yourself');
         return;
       }
 
@@ -3482,7 +6443,7 @@ function startServer() {
       });
 
       if (!targetUser) {
-        ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Target user not found' }, Date.now()]));
+        sendError(ws, ERROR_CODES.NOT_FOUND, 'Target user not found');
         return;
       }
 
@@ -3547,7 +6508,7 @@ function startServer() {
 
       if (existingDM) {
         // DM already exists, just return it
-        ws.send(msgpack.encode([SERVER_EVENTS.DM_CREATED, { channel: existingDM }, Date.now()]));
+        ws.send(encodeFrame(SERVER_EVENTS.DM_CREATED, { channel: existingDM }, ws.requestId));
         return;
       }
 
@@ -3587,12 +6548,12 @@ function startServer() {
       // Clear cache for both users
       await clearAllChannelCaches('DM created');
 
-      ws.send(msgpack.encode([SERVER_EVENTS.DM_CREATED, { channel: dmChannel }, Date.now()]));
+      ws.send(encodeFrame(SERVER_EVENTS.DM_CREATED, { channel: dmChannel }, ws.requestId));
 
       console.log('✅ [DM] DM created:', { channelId: dmChannel.id, userId, targetUserId });
     } catch (error) {
       console.error('❌ [DM] Error in handleCreateDM:', error);
-      ws.send(msgpack.encode([SERVER_EVENTS.ERROR, { message: 'Failed to create DM' }, Date.now()]));
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to create DM');
     }
   }
 
@@ -3613,16 +6574,22 @@ function startServer() {
     });
   });
 
+  const stakingGateTimer = setInterval(() => {
+    recheckStakingGates().catch(error => {
+      console.error('❌ [STAKING_GATE] Re-check failed:', error);
+    });
+  }, websocketConfig.stakingGate.recheckIntervalMs);
+
   // Graceful shutdown handling
   const gracefulShutdown = async (signal) => {
     console.log(`\n🛑 [SERVER] Received ${signal}. Starting graceful shutdown...`);
     
     try {
+      clearInterval(stakingGateTimer);
+
       // Close WebSocket server
       console.log('🔌 [SERVER] Closing WebSocket server...');
-      wss.close(() => {
-        console.log('✅ [SERVER] WebSocket server closed');
-      });
+      await gateway.shutdown();
       
       // Close HTTP server
       console.log('🌐 [SERVER] Closing HTTP server...');